@@ -1,16 +1,22 @@
 import { createSVG } from './svg_utils';
 
 export default class Arrow {
-    constructor(gantt, from_task, to_task) {
+    constructor(gantt, from_task, to_task, type = 'FS') {
         this.gantt = gantt;
         this.from_task = from_task;
         this.to_task = to_task;
+        this.type = type;
 
         this.calculate_path();
         this.draw();
     }
 
     calculate_path() {
+        if (this.type !== 'FS') {
+            this.path = this.calculate_edge_path();
+            return;
+        }
+
         let start_x =
             this.from_task.$bar.getX() + this.from_task.$bar.getWidth() / 2;
 
@@ -18,10 +24,13 @@ export default class Arrow {
             this.to_task.$bar.getX() < start_x + this.gantt.options.padding &&
             start_x > this.from_task.$bar.getX() + this.gantt.options.padding;
 
-        while (condition()) {
+        // milestones are left from the bottom tip of the diamond
+        if (!this.from_task.is_milestone()) {
+            while (condition()) {
+                start_x -= 10;
+            }
             start_x -= 10;
         }
-        start_x -= 10;
 
         let start_y =
             this.gantt.config.header_height +
@@ -41,6 +50,20 @@ export default class Arrow {
         const from_is_below_to =
             this.from_task.task._index > this.to_task.task._index;
 
+        // tasks sharing a row are joined by a straight line
+        if (
+            this.from_task.task._index === this.to_task.task._index &&
+            end_x > this.from_task.$bar.getEndX()
+        ) {
+            this.path = `
+              M ${this.from_task.$bar.getEndX()} ${end_y}
+              L ${end_x} ${end_y}
+              m -5 -5
+              l 5 5
+              l -5 5`;
+            return;
+        }
+
         let curve = this.gantt.options.arrow_curve;
         const clockwise = from_is_below_to ? 1 : 0;
         let curve_y = from_is_below_to ? -curve : curve;
@@ -88,16 +111,110 @@ export default class Arrow {
         }
     }
 
+    /**
+     * Route an arrow from the edge of the predecessor given by the first
+     * letter of the type to the edge of the successor given by the second,
+     * e.g. start to start for SS links.
+     */
+    calculate_edge_path() {
+        const { padding, arrow_curve } = this.gantt.options;
+        const from_bar = this.from_task.$bar;
+        const to_bar = this.to_task.$bar;
+        const from_start = this.type[0] === 'S';
+        const to_start = this.type[1] === 'S';
+
+        // leave a start edge to the left and an end edge to the right
+        const out = from_start ? -1 : 1;
+        // enter a start edge moving right and an end edge moving left
+        const into = to_start ? 1 : -1;
+
+        const start_x =
+            this.from_task.get_edges()[from_start ? 'start' : 'end'];
+        const start_y = from_bar.getY() + from_bar.getHeight() / 2;
+        const end_x =
+            this.to_task.get_edges()[to_start ? 'start' : 'end'] - into * 2;
+        const end_y = to_bar.getY() + to_bar.getHeight() / 2;
+
+        const from_is_below_to =
+            this.from_task.task._index > this.to_task.task._index;
+        // run between the rows, next to the predecessor
+        const mid_y = from_is_below_to
+            ? from_bar.getY() - padding / 2
+            : from_bar.getY() + from_bar.getHeight() + padding / 2;
+
+        const points = [
+            [start_x, start_y],
+            [start_x + out * padding, start_y],
+            [start_x + out * padding, mid_y],
+            [end_x - into * padding, mid_y],
+            [end_x - into * padding, end_y],
+            [end_x, end_y],
+        ];
+        return `${rounded_path(points, arrow_curve)}
+                m ${-5 * into} -5
+                l ${5 * into} 5
+                l ${-5 * into} 5`;
+    }
+
     draw() {
-        this.element = createSVG('path', {
-            d: this.path,
+        this.element = createSVG('g', {
+            class: 'arrow-wrapper',
             'data-from': this.from_task.task.id,
             'data-to': this.to_task.task.id,
+            'data-type': this.type,
+        });
+        // the line is thin, a wide invisible copy makes it easy to hit
+        this.$hit_path = createSVG('path', {
+            d: this.path,
+            class: 'arrow-hit',
+            append_to: this.element,
+        });
+        this.$path = createSVG('path', {
+            d: this.path,
+            class: 'arrow-path',
+            append_to: this.element,
         });
     }
 
     update() {
         this.calculate_path();
-        this.element.setAttribute('d', this.path);
+        this.$hit_path.setAttribute('d', this.path);
+        this.$path.setAttribute('d', this.path);
     }
 }
+
+/**
+ * Join the points with straight lines, rounding every corner with the given
+ * radius (shrunk when a segment is too short for it).
+ */
+function rounded_path(points, radius) {
+    // drop repeated points, they would make zero length segments
+    points = points.filter(
+        (p, i) => !i || p[0] !== points[i - 1][0] || p[1] !== points[i - 1][1],
+    );
+
+    let path = `M ${points[0][0]} ${points[0][1]}`;
+    for (let i = 1; i < points.length - 1; i++) {
+        const [px, py] = points[i - 1];
+        const [x, y] = points[i];
+        const [nx, ny] = points[i + 1];
+        const r = Math.min(
+            radius,
+            Math.hypot(x - px, y - py) / 2,
+            Math.hypot(nx - x, ny - y) / 2,
+        );
+        const before = toward(points[i], points[i - 1], r);
+        const after = toward(points[i], points[i + 1], r);
+        path += ` L ${before[0]} ${before[1]} Q ${x} ${y} ${after[0]} ${after[1]}`;
+    }
+    const [x, y] = points[points.length - 1];
+    return `${path} L ${x} ${y}`;
+}
+
+function toward([x, y], [tx, ty], distance) {
+    const length = Math.hypot(tx - x, ty - y) || 1;
+    return [
+        x + ((tx - x) * distance) / length,
+        y + ((ty - y) * distance) / length,
+    ];
+}
@@ -7,6 +7,7 @@ export default class Bar {
         this.prepare_wrappers();
         this.prepare_helpers();
         this.refresh();
+        this.bind();
     }
 
     refresh() {
@@ -17,10 +18,24 @@ export default class Bar {
         } else {
             this.group.classList = ['bar-wrapper'];
         }
+        this.group.classList.toggle('summary', this.is_summary());
+        this.group.classList.toggle('milestone', this.is_milestone());
+        this.group.classList.toggle(
+            'selected',
+            this.gantt.selected_ids.has(this.task.id),
+        );
 
         this.prepare_values();
         this.draw();
-        this.bind();
+        this.update_aria_label();
+    }
+
+    // read out by screen readers when the bar is focused
+    update_aria_label() {
+        this.group.setAttribute(
+            'aria-label',
+            this.gantt.options.aria_label(this.task, this.gantt),
+        );
     }
 
     set_defaults(gantt, task) {
@@ -36,6 +51,9 @@ export default class Bar {
                 'bar-wrapper' +
                 (this.task.custom_class ? ' ' + this.task.custom_class : ''),
             'data-id': this.task.id,
+            // reachable with the keyboard, see Gantt.handle_bar_key
+            tabindex: 0,
+            role: 'button',
         });
         this.bar_group = createSVG('g', {
             class: 'bar-group',
@@ -51,18 +69,42 @@ export default class Bar {
         this.invalid = this.task.invalid;
         this.height = this.gantt.options.bar_height;
         this.image_size = this.height - 5;
-        this.task._start = new Date(this.task.start);
-        this.task._end = new Date(this.task.end);
         this.compute_x();
         this.compute_y();
         this.compute_duration();
         this.corner_radius = this.gantt.options.bar_corner_radius;
         this.width = this.gantt.config.column_width * this.duration;
+        if (this.is_milestone()) {
+            // the diamond is centred on the milestone date
+            this.width = this.height;
+            this.x -= this.width / 2;
+        }
         if (!this.task.progress || this.task.progress < 0)
             this.task.progress = 0;
         if (this.task.progress > 100) this.task.progress = 100;
     }
 
+    // id for an SVG element of the bar, usable in `url(#...)` references
+    get_svg_id(name) {
+        const id = this.task.id.replace(
+            /[^a-zA-Z0-9_]/g,
+            (c) => `-${c.charCodeAt(0).toString(16)}-`,
+        );
+        return `${this.gantt.uid}_${name}_${id}`;
+    }
+
+    is_milestone() {
+        return this.task.type === 'milestone';
+    }
+
+    is_summary() {
+        return !!(this.task._children && this.task._children.length);
+    }
+
+    is_segmented() {
+        return !!this.task._segments && !this.is_milestone();
+    }
+
     prepare_helpers() {
         SVGElement.prototype.getX = function () {
             return +this.getAttribute('x');
@@ -90,14 +132,22 @@ export default class Bar {
     }
 
     draw() {
+        this.draw_baseline();
         this.draw_bar();
+        this.draw_date_highlight();
         this.draw_progress_bar();
-        if (this.gantt.options.show_expected_progress) {
+        if (this.gantt.options.show_expected_progress && !this.is_milestone()) {
             this.prepare_expected_progress_values();
             this.draw_expected_progress_bar();
         }
         this.draw_label();
-        this.draw_resize_handles();
+        if (this.task._deadline) this.draw_deadline();
+        if (this.is_summary()) {
+            this.draw_caret();
+        } else {
+            if (!this.is_milestone()) this.draw_resize_handles();
+            this.draw_connectors();
+        }
 
         if (this.task.thumbnail) {
             this.draw_thumbnail();
@@ -105,24 +155,121 @@ export default class Bar {
     }
 
     draw_bar() {
-        this.$bar = createSVG('rect', {
-            x: this.x,
-            y: this.y,
-            width: this.width,
-            height: this.height,
-            rx: this.corner_radius,
-            ry: this.corner_radius,
-            class: 'bar',
-            append_to: this.bar_group,
-        });
-        if (this.task.color) this.$bar.style.fill = this.task.color;
-        animateSVG(this.$bar, 'width', 0, this.width);
+        if (this.is_milestone()) {
+            // x, y, width and height are kept so the diamond can be
+            // measured and moved like any other bar
+            this.$bar = createSVG('polygon', {
+                x: this.x,
+                y: this.y,
+                width: this.width,
+                height: this.height,
+                points: this.get_diamond_points(this.x),
+                class: 'bar',
+                append_to: this.bar_group,
+            });
+        } else {
+            this.$bar = createSVG('rect', {
+                x: this.x,
+                y: this.y,
+                width: this.width,
+                height: this.height,
+                rx: this.corner_radius,
+                ry: this.corner_radius,
+                // split tasks are drawn by their segments
+                class: this.is_segmented() ? 'bar-envelope' : 'bar',
+                append_to: this.bar_group,
+            });
+            animateSVG(this.$bar, 'width', 0, this.width);
+        }
+        this.$segments = null;
+        if (this.is_segmented()) {
+            this.draw_segments();
+        } else if (this.task.color) {
+            this.$bar.style.fill = this.task.color;
+        }
 
         if (this.invalid) {
             this.$bar.classList.add('bar-invalid');
         }
     }
 
+    draw_segments() {
+        const defs = createSVG('defs', { append_to: this.bar_group });
+        // progress is only shown on the segments, not in the gaps
+        const clip_path = createSVG('clipPath', {
+            id: this.get_svg_id('segments'),
+            append_to: defs,
+        });
+
+        this.$segments = this.task._segments.map((segment, i) => {
+            const x = this.gantt.date_to_x(segment._start);
+            const $segment = createSVG('rect', {
+                id: `${this.get_svg_id('segment')}_${i}`,
+                x,
+                y: this.y,
+                width: this.gantt.date_to_x(segment._end) - x,
+                height: this.height,
+                rx: this.corner_radius,
+                ry: this.corner_radius,
+                class: 'bar bar-segment',
+                'data-index': i,
+                append_to: this.bar_group,
+            });
+            if (this.task.color) $segment.style.fill = this.task.color;
+            createSVG('use', {
+                href: '#' + $segment.id,
+                append_to: clip_path,
+            });
+            return $segment;
+        });
+    }
+
+    draw_baseline() {
+        this.$baseline?.remove?.();
+        this.$baseline = null;
+        const baseline = this.gantt.get_baseline(this.task);
+        if (!baseline) return;
+
+        const x = this.gantt.date_to_x(baseline.start);
+        // keep milestones and zero length baselines visible
+        const width = Math.max(this.gantt.date_to_x(baseline.end) - x, 4);
+
+        this.$baseline = createSVG('rect', {
+            x: this.is_milestone() ? x - width / 2 : x,
+            y: this.y + this.height + 2,
+            width,
+            height: 4,
+            rx: 2,
+            ry: 2,
+            class: 'bar-baseline',
+        });
+        this.bar_group.prepend(this.$baseline);
+    }
+
+    draw_deadline() {
+        const x = this.gantt.date_to_x(this.task._deadline);
+        const top = this.y - 4;
+        createSVG('path', {
+            d: `M ${x} ${this.y + this.height + 4} V ${top} l 8 4 l -8 4`,
+            class: 'deadline-flag',
+            append_to: this.bar_group,
+        });
+    }
+
+    get_diamond_points(x) {
+        const half = this.height / 2;
+        const cx = x + this.width / 2;
+        const cy = this.y + half;
+        return [
+            [cx, this.y],
+            [cx + half, cy],
+            [cx, this.y + this.height],
+            [cx - half, cy],
+        ]
+            .map((point) => point.join(','))
+            .join(' ');
+    }
+
     draw_expected_progress_bar() {
         if (this.invalid) return;
         this.$expected_bar_progress = createSVG('rect', {
@@ -135,6 +282,12 @@ export default class Bar {
             class: 'bar-expected-progress',
             append_to: this.bar_group,
         });
+        if (this.$segments) {
+            this.$expected_bar_progress.setAttribute(
+                'clip-path',
+                `url(#${this.get_svg_id('segments')})`,
+            );
+        }
 
         animateSVG(
             this.$expected_bar_progress,
@@ -145,7 +298,7 @@ export default class Bar {
     }
 
     draw_progress_bar() {
-        if (this.invalid) return;
+        if (this.invalid || this.is_milestone()) return;
         this.progress_width = this.calculate_progress_width();
         let r = this.corner_radius;
         if (!/^((?!chrome|android).)*safari/i.test(navigator.userAgent))
@@ -162,6 +315,17 @@ export default class Bar {
         });
         if (this.task.color_progress)
             this.$bar_progress.style.fill = this.task.color_progress;
+        if (this.$segments) {
+            this.$bar_progress.setAttribute(
+                'clip-path',
+                `url(#${this.get_svg_id('segments')})`,
+            );
+        }
+
+        animateSVG(this.$bar_progress, 'width', 0, this.progress_width);
+    }
+
+    draw_date_highlight() {
         const x =
             (date_utils.diff(
                 this.task._start,
@@ -171,15 +335,14 @@ export default class Bar {
                 this.gantt.config.step) *
             this.gantt.config.column_width;
 
+        this.$date_highlight?.remove?.();
         let $date_highlight = this.gantt.create_el({
             classes: `date-range-highlight hide highlight-${this.task.id}`,
             width: this.width,
-            left: x,
+            left: this.is_milestone() ? this.x : x,
         });
         this.$date_highlight = $date_highlight;
         this.gantt.$lower_header.prepend(this.$date_highlight);
-
-        animateSVG(this.$bar_progress, 'width', 0, this.progress_width);
     }
 
     calculate_progress_width() {
@@ -241,7 +404,7 @@ export default class Bar {
         });
 
         createSVG('rect', {
-            id: 'rect_' + this.task.id,
+            id: this.get_svg_id('rect'),
             x: this.x + x_offset,
             y: this.y + y_offset,
             width: this.image_size,
@@ -252,12 +415,12 @@ export default class Bar {
         });
 
         clipPath = createSVG('clipPath', {
-            id: 'clip_' + this.task.id,
+            id: this.get_svg_id('clip'),
             append_to: defs,
         });
 
         createSVG('use', {
-            href: '#rect_' + this.task.id,
+            href: '#' + this.get_svg_id('rect'),
             append_to: clipPath,
         });
 
@@ -268,18 +431,41 @@ export default class Bar {
             height: this.image_size,
             class: 'bar-img',
             href: this.task.thumbnail,
-            clipPath: 'clip_' + this.task.id,
+            clipPath: this.get_svg_id('clip'),
             append_to: this.bar_group,
         });
     }
 
+    draw_caret() {
+        const size = 8;
+        const x = this.x - size - 4;
+        const y = this.y + (this.height - size) / 2;
+        // points right while collapsed, down while expanded
+        const d = this.task.collapsed
+            ? `M ${x + 2} ${y} l ${size - 2} ${size / 2} l ${2 - size} ${size / 2} z`
+            : `M ${x} ${y + 2} h ${size} l ${-size / 2} ${size - 2} z`;
+
+        this.$caret = createSVG('path', {
+            d,
+            class: 'bar-caret',
+            append_to: this.handle_group,
+        });
+        // keep the click from starting a drag or opening the popup
+        $.on(this.$caret, 'pointerdown pointerup', (e) => e.stopPropagation());
+        $.on(this.$caret, 'click', (e) => {
+            e.stopPropagation();
+            this.gantt.toggle_collapse(this.task.id);
+        });
+    }
+
     draw_resize_handles() {
         if (this.invalid || this.gantt.options.readonly) return;
 
         const bar = this.$bar;
         const handle_width = 3;
         this.handles = [];
-        if (!this.gantt.options.readonly_dates) {
+        // split tasks change length by moving their segments
+        if (!this.gantt.options.readonly_dates && !this.is_segmented()) {
             this.handles.push(
                 createSVG('rect', {
                     x: bar.getEndX() - handle_width / 2,
@@ -324,6 +510,29 @@ export default class Bar {
         }
     }
 
+    // dragged from one bar onto another to link the two tasks
+    draw_connectors() {
+        this.$connectors = null;
+        if (this.invalid || this.gantt.options.readonly) return;
+        this.$connectors = ['start', 'end'].map((side) =>
+            createSVG('circle', {
+                r: 4,
+                class: 'connector ' + side,
+                append_to: this.handle_group,
+            }),
+        );
+        this.update_connector_position();
+    }
+
+    update_connector_position() {
+        if (!this.$connectors) return;
+        const bar = this.$bar;
+        const [$start, $end] = this.$connectors;
+        const cy = bar.getY() + bar.getHeight() / 2;
+        $.attr($start, { cx: bar.getX() - 8, cy });
+        $.attr($end, { cx: bar.getEndX() + 8, cy });
+    }
+
     bind() {
         if (this.invalid) return;
         this.setup_click_event();
@@ -341,7 +550,7 @@ export default class Bar {
         });
 
         if (this.gantt.options.popup_on === 'click') {
-            $.on(this.group, 'mouseup', (e) => {
+            $.on(this.group, 'pointerup', (e) => {
                 const posX = e.offsetX || e.layerX;
                 if (this.$handle_progress) {
                     const cx = +this.$handle_progress.getAttribute('cx');
@@ -394,21 +603,80 @@ export default class Bar {
                 this.gantt.popup.parent.classList.remove('hide');
 
             this.gantt.trigger_event('double_click', [this.task]);
+
+            if (
+                e.target.classList.contains('bar-label') &&
+                !this.gantt.options.readonly
+            ) {
+                this.gantt.hide_popup();
+                this.edit_label();
+            }
+        });
+    }
+
+    // a text input over the bar takes the place of the label while renaming
+    edit_label() {
+        if (this.group.classList.contains('editing')) return;
+        const $input = this.gantt.create_el({
+            left: this.$bar.getX(),
+            top: this.$bar.getY(),
+            width: this.$bar.getWidth(),
+            height: this.$bar.getHeight(),
+            classes: 'bar-label-input',
+            type: 'input',
+            append_to: this.gantt.$container,
+        });
+        $input.value = this.task.name;
+        this.group.classList.add('editing');
+        $input.focus();
+        $input.select();
+
+        let done = false;
+        const finish = (commit) => {
+            if (done) return;
+            done = true;
+            $input.remove();
+            this.group.classList.remove('editing');
+            const name = $input.value.trim();
+            if (!commit || !name || name === this.task.name) return;
+            const snapshot = this.gantt.snapshot_tasks();
+            this.task.name = name;
+            this.refresh();
+            this.gantt.update_overlays();
+            this.gantt.trigger_event('name_change', [this.task, name]);
+            this.gantt.record_changes(snapshot);
+        };
+        $input.addEventListener('keydown', (e) => {
+            // keep the chart's own shortcuts out of the way while typing
+            e.stopPropagation();
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
         });
+        $input.addEventListener('blur', () => finish(true));
     }
 
     update_bar_position({ x = null, width = null }) {
         const bar = this.$bar;
 
-        if (x) {
-            const xs = this.task.dependencies.map((dep) => {
-                return this.gantt.get_bar(dep).$bar.getX();
-            });
-            const valid_x = xs.reduce((prev, curr) => {
-                return prev && x >= curr;
-            }, true);
-            if (!valid_x) return;
+        if (
+            !this.is_position_valid(
+                x !== null ? x : bar.getX(),
+                width > 0 ? width : bar.getWidth(),
+            )
+        )
+            return false;
+
+        if (x !== null) {
+            for (let $segment of this.$segments || []) {
+                this.update_attr(
+                    $segment,
+                    'x',
+                    $segment.getX() + x - bar.getX(),
+                );
+            }
             this.update_attr(bar, 'x', x);
+            if (this.is_milestone())
+                bar.setAttribute('points', this.get_diamond_points(x));
             this.x = x;
             this.$date_highlight.style.left = x + 'px';
         }
@@ -417,6 +685,67 @@ export default class Bar {
             this.$date_highlight.style.width = width + 'px';
         }
 
+        this.update_positions();
+        return true;
+    }
+
+    /**
+     * Move the bar to new dates, the same way dragging it there would.
+     * Only the start counts for milestones, and split tasks are moved
+     * as a whole.
+     *
+     * @param {Date} start
+     * @param {Date} end - exclusive end of the task
+     * @returns {boolean} false if the dependencies or constraints of the task
+     *  don't allow the move
+     */
+    set_dates(start, end) {
+        const x = this.gantt.date_to_x(start);
+        if (this.is_milestone()) {
+            return this.update_bar_position({ x: x - this.width / 2 });
+        }
+        if (this.is_segmented()) return this.update_bar_position({ x });
+        return this.update_bar_position({
+            x,
+            width: this.gantt.date_to_x(end) - x,
+        });
+    }
+
+    /**
+     * Move a single segment of a split task, the other segments stay put.
+     * Segments keep their order and can't overlap.
+     *
+     * @param {number} index - index of the segment in `task._segments`
+     * @param {number} x - new x position of the segment
+     */
+    move_segment(index, x) {
+        const $segment = this.$segments[index];
+        const width = $segment.getWidth();
+        const previous = this.$segments[index - 1];
+        const next = this.$segments[index + 1];
+        if (
+            (previous && x < previous.getEndX()) ||
+            (next && x + width > next.getX())
+        )
+            return;
+
+        const first = this.$segments[0];
+        const last = this.$segments[this.$segments.length - 1];
+        const start = first === $segment ? x : first.getX();
+        const end = last === $segment ? x + width : last.getEndX();
+        if (!this.is_position_valid(start, end - start)) return;
+
+        this.update_attr($segment, 'x', x);
+        this.update_attr(this.$bar, 'x', start);
+        this.update_attr(this.$bar, 'width', end - start);
+        this.x = start;
+        this.$date_highlight.style.left = start + 'px';
+        this.$date_highlight.style.width = end - start + 'px';
+
+        this.update_positions();
+    }
+
+    update_positions() {
         this.update_label_position();
         this.update_handle_position();
         this.date_changed();
@@ -430,6 +759,75 @@ export default class Bar {
         this.update_arrow_position();
     }
 
+    /**
+     * Check a new position of the bar against its hard constraints and the
+     * links to its predecessors. A bar that already breaks one may still move
+     * towards honouring it, so it never gets stuck.
+     *
+     * @param {number} x - new x position of the bar
+     * @param {number} width - new width of the bar
+     * @returns {boolean}
+     */
+    is_position_valid(x, width) {
+        const edges = this.get_edges(x, width);
+        const current_edges = this.get_edges();
+        const constraints = this.task._constraints || {};
+        const limit_x = (date) => this.gantt.date_to_x(date);
+
+        // hard constraints, a deadline is only flagged
+        if (
+            constraints.start_no_earlier_than &&
+            edges.start < limit_x(constraints.start_no_earlier_than) - 0.5 &&
+            edges.start < current_edges.start
+        )
+            return false;
+        if (
+            constraints.finish_no_later_than &&
+            edges.end > limit_x(constraints.finish_no_later_than) + 0.5 &&
+            edges.end > current_edges.end
+        )
+            return false;
+        if (constraints.must_start_on) {
+            const target = limit_x(constraints.must_start_on);
+            if (
+                Math.abs(edges.start - target) > 0.5 &&
+                Math.abs(edges.start - target) >
+                    Math.abs(current_edges.start - target)
+            )
+                return false;
+        }
+
+        return this.task._dependencies.every((link) => {
+            const from_bar = this.gantt.get_bar(link.from);
+            if (!from_bar) return true;
+
+            const from_edge = link.type[0] === 'S' ? 'start' : 'end';
+            const edge = link.type[1] === 'S' ? 'start' : 'end';
+            const lag =
+                (date_utils.convert_scales(link.lag, this.gantt.config.unit) /
+                    this.gantt.config.step) *
+                this.gantt.config.column_width;
+            const limit = from_bar.get_edges()[from_edge] + lag;
+
+            // allow for rounding errors in the pixel positions
+            return (
+                edges[edge] >= limit - 0.5 || edges[edge] >= current_edges[edge]
+            );
+        });
+    }
+
+    /**
+     * x positions of the start and end of the task; both are the centre of
+     * the diamond for milestones.
+     */
+    get_edges(x = this.$bar.getX(), width = this.$bar.getWidth()) {
+        if (this.is_milestone()) {
+            const center = x + width / 2;
+            return { start: center, end: center };
+        }
+        return { start: x, end: x + width };
+    }
+
     update_label_position_on_horizontal_scroll({ x, sx }) {
         const container =
             this.gantt.$container.querySelector('.gantt-container');
@@ -467,6 +865,20 @@ export default class Bar {
 
     date_changed() {
         let changed = false;
+        for (let [i, $segment] of (this.$segments || []).entries()) {
+            const segment = this.task._segments[i];
+            const { new_start_date, new_end_date } =
+                this.compute_start_end_date($segment);
+            if (
+                Number(segment._start) !== Number(new_start_date) ||
+                Number(segment._end) !== Number(new_end_date)
+            ) {
+                changed = true;
+                segment._start = new_start_date;
+                segment._end = new_end_date;
+            }
+        }
+
         const { new_start_date, new_end_date } = this.compute_start_end_date();
         if (Number(this.task._start) !== Number(new_start_date)) {
             changed = true;
@@ -480,15 +892,20 @@ export default class Bar {
 
         if (!changed) return;
 
+        this.update_aria_label();
         this.gantt.trigger_event('date_change', [
             this.task,
             new_start_date,
-            date_utils.add(new_end_date, -1, 'second'),
+            // milestones end where they start
+            this.is_milestone()
+                ? new_end_date
+                : date_utils.add(new_end_date, -1, 'second'),
         ]);
     }
 
-    progress_changed() {
-        this.task.progress = this.compute_progress();
+    progress_changed(progress = this.compute_progress()) {
+        this.task.progress = progress;
+        this.update_aria_label();
         this.gantt.trigger_event('progress_change', [
             this.task,
             this.task.progress,
@@ -500,14 +917,18 @@ export default class Bar {
         setTimeout(() => (this.action_completed = false), 1000);
     }
 
-    compute_start_end_date() {
-        const bar = this.$bar;
-        const x_in_units = bar.getX() / this.gantt.config.column_width;
+    compute_start_end_date(bar = this.$bar) {
+        let x = bar.getX();
+        if (this.is_milestone()) x += bar.getWidth() / 2;
+        const x_in_units = x / this.gantt.config.column_width;
         let new_start_date = date_utils.add(
             this.gantt.gantt_start,
             x_in_units * this.gantt.config.step,
             this.gantt.config.unit,
         );
+        if (this.is_milestone()) {
+            return { new_start_date, new_end_date: new_start_date };
+        }
 
         const width_in_units = bar.getWidth() / this.gantt.config.column_width;
         const new_end_date = date_utils.add(
@@ -520,6 +941,7 @@ export default class Bar {
     }
 
     compute_progress() {
+        if (this.is_milestone()) return this.task.progress;
         this.progress_width = this.$bar_progress.getWidth();
         this.x = this.$bar_progress.getBBox().x;
         const progress_area = this.x + this.progress_width;
@@ -583,6 +1005,7 @@ export default class Bar {
         this.x = x;
     }
 
+    // tasks sharing a row through their `row` key share the same _index
     compute_y() {
         this.y =
             this.gantt.config.header_height +
@@ -636,7 +1059,7 @@ export default class Bar {
     }
 
     update_expected_progressbar_position() {
-        if (this.invalid) return;
+        if (this.invalid || this.is_milestone()) return;
         this.$expected_bar_progress.setAttribute('x', this.$bar.getX());
         this.compute_expected_progress();
         this.$expected_bar_progress.setAttribute(
@@ -648,7 +1071,8 @@ export default class Bar {
     }
 
     update_progressbar_position() {
-        if (this.invalid || this.gantt.options.readonly) return;
+        if (this.invalid || this.gantt.options.readonly || this.is_milestone())
+            return;
         this.$bar_progress.setAttribute('x', this.$bar.getX());
 
         this.$bar_progress.setAttribute(
@@ -662,11 +1086,13 @@ export default class Bar {
         const bar = this.$bar,
             label = this.group.querySelector('.bar-label'),
             img = this.group.querySelector('.bar-img');
+        // labels of split tasks sit on the first segment
+        const label_bar = this.$segments ? this.$segments[0] : bar;
 
         let padding = 5;
         let x_offset_label_img = this.image_size + 10;
         const labelWidth = label.getBBox().width;
-        const barWidth = bar.getWidth();
+        const barWidth = label_bar.getWidth();
         if (labelWidth > barWidth) {
             label.classList.add('big');
             if (img) {
@@ -679,30 +1105,32 @@ export default class Bar {
         } else {
             label.classList.remove('big');
             if (img) {
-                img.setAttribute('x', bar.getX() + padding);
-                img_mask.setAttribute('x', bar.getX() + padding);
+                img.setAttribute('x', label_bar.getX() + padding);
+                img_mask.setAttribute('x', label_bar.getX() + padding);
                 label.setAttribute(
                     'x',
-                    bar.getX() + barWidth / 2 + x_offset_label_img,
+                    label_bar.getX() + barWidth / 2 + x_offset_label_img,
                 );
             } else {
                 label.setAttribute(
                     'x',
-                    bar.getX() + barWidth / 2 - labelWidth / 2,
+                    label_bar.getX() + barWidth / 2 - labelWidth / 2,
                 );
             }
         }
     }
 
     update_handle_position() {
-        if (this.invalid || this.gantt.options.readonly) return;
+        this.update_connector_position();
+        if (this.invalid || this.gantt.options.readonly || this.is_milestone())
+            return;
         const bar = this.$bar;
         this.handle_group
             .querySelector('.handle.left')
-            .setAttribute('x', bar.getX());
+            ?.setAttribute('x', bar.getX());
         this.handle_group
             .querySelector('.handle.right')
-            .setAttribute('x', bar.getEndX());
+            ?.setAttribute('x', bar.getEndX());
         const handle = this.group.querySelector('.handle.progress');
         handle && handle.setAttribute('cx', this.$bar_progress.getEndX());
     }
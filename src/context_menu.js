@@ -0,0 +1,70 @@
+/**
+ * List of actions shown where the chart was right clicked. The items are
+ * added by the `context_menu` option.
+ */
+export default class ContextMenu {
+    constructor(gantt) {
+        this.gantt = gantt;
+        this.$menu = gantt.create_el({
+            classes: 'context-menu hide',
+            append_to: gantt.$container,
+        });
+        // a press outside of the menu, Escape or scrolling closes it
+        this.close = (e) => {
+            if (e.type === 'keydown' && e.key !== 'Escape') return;
+            if (e.type === 'pointerdown' && this.$menu.contains(e.target))
+                return;
+            this.hide();
+        };
+    }
+
+    /**
+     * @param {Object} options
+     * @param {number} options.x - position in the chart
+     * @param {number} options.y
+     * @param {Object} options.context - what was clicked, see
+     *  `Gantt.get_menu_context`
+     * @returns {boolean} false when the menu had no items
+     */
+    show({ x, y, context }) {
+        this.$menu.innerHTML = '';
+        const ctx = {
+            ...context,
+            chart: this.gantt,
+            add_item: (html, func) => {
+                const $item = this.gantt.create_el({
+                    classes: 'context-menu-item',
+                    type: 'button',
+                    append_to: this.$menu,
+                });
+                if (typeof html === 'function') html = html(ctx);
+                $item.innerHTML = html;
+                $item.onclick = (e) => {
+                    this.hide();
+                    func(ctx, e);
+                };
+            },
+        };
+        this.gantt.options.context_menu(ctx);
+        if (!this.$menu.children.length) {
+            this.hide();
+            return false;
+        }
+
+        this.$menu.style.left = x + 'px';
+        this.$menu.style.top = y + 'px';
+        this.$menu.classList.remove('hide');
+        document.addEventListener('pointerdown', this.close);
+        document.addEventListener('keydown', this.close);
+        // scroll events don't bubble, catch the chart's on the way down
+        document.addEventListener('scroll', this.close, true);
+        return true;
+    }
+
+    hide() {
+        this.$menu.classList.add('hide');
+        document.removeEventListener('pointerdown', this.close);
+        document.removeEventListener('keydown', this.close);
+        document.removeEventListener('scroll', this.close, true);
+    }
+}
@@ -8,7 +8,8 @@ const MILLISECOND = 'millisecond';
 
 export default {
     parse_duration(duration) {
-        const regex = /([0-9]+)(y|m|d|h|min|s|ms)/gm;
+        // longer units first so that "30min" and "500ms" aren't read as months
+        const regex = /([+-]?[0-9]+)(ms|min|y|m|d|h|s)/gm;
         const matches = regex.exec(duration);
         if (matches !== null) {
             if (matches[2] === 'y') {
@@ -193,6 +194,16 @@ export default {
         return new Date(...vals);
     },
 
+    // adds space separated durations like "1d 12h", null if one is invalid
+    add_duration(date, durations) {
+        for (let part of `${durations}`.split(' ')) {
+            const parsed = this.parse_duration(part);
+            if (!parsed) return null;
+            date = this.add(date, parsed.duration, parsed.scale);
+        }
+        return date;
+    },
+
     start_of(date, scale) {
         const scores = {
             [YEAR]: 6,
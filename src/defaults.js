@@ -108,10 +108,22 @@ const DEFAULT_VIEW_MODES = [
 ];
 
 const DEFAULT_OPTIONS = {
+    aria_label: (task, chart) => {
+        const format = (date) =>
+            date_utils.format(date, 'MMM D, YYYY', chart.options.language);
+        if (task.type === 'milestone') {
+            return `${task.name}, milestone on ${format(task._start)}`;
+        }
+        const end = date_utils.add(task._end, -1, 'second');
+        return `${task.name}, ${format(task._start)} to ${format(end)}, ${Math.round(task.progress || 0)}% complete`;
+    },
     arrow_curve: 5,
     auto_move_label: false,
+    auto_schedule: false,
     bar_corner_radius: 3,
     bar_height: 30,
+    baseline: null,
+    baselines: {},
     container_height: 'auto',
     column_width: null,
     date_format: 'YYYY-MM-DD HH:mm',
@@ -119,6 +131,7 @@ const DEFAULT_OPTIONS = {
     lower_header_height: 30,
     snap_at: null,
     infinite_padding: true,
+    group_by: null,
     holidays: { 'var(--g-weekend-highlight-color)': 'weekend' },
     ignore: [],
     language: 'en',
@@ -135,22 +148,46 @@ const DEFAULT_OPTIONS = {
             'MMM D',
             ctx.chart.options.language,
         );
+        if (ctx.task.type === 'milestone') {
+            ctx.set_details(`Milestone: ${start_date}`);
+            return;
+        }
         const end_date = date_utils.format(
             date_utils.add(ctx.task._end, -1, 'second'),
             'MMM D',
             ctx.chart.options.language,
         );
 
+        const baseline = ctx.chart.get_baseline(ctx.task);
+        let slip = '';
+        if (baseline) {
+            const days = date_utils.diff(ctx.task._end, baseline.end, 'day');
+            slip = `<br/>Slip: ${days > 0 ? '+' : ''}${days} days`;
+        }
+
         ctx.set_details(
-            `${start_date} - ${end_date} (${ctx.task.actual_duration} days${ctx.task.ignored_duration ? ' + ' + ctx.task.ignored_duration + ' excluded' : ''})<br/>Progress: ${Math.floor(ctx.task.progress * 100) / 100}%`,
+            `${start_date} - ${end_date} (${ctx.task.actual_duration} days${ctx.task.ignored_duration ? ' + ' + ctx.task.ignored_duration + ' excluded' : ''})<br/>Progress: ${Math.floor(ctx.task.progress * 100) / 100}%${slip}`,
         );
     },
     popup_on: 'click',
+    context_menu: (ctx) => {
+        if (ctx.target === 'arrow' && !ctx.chart.options.readonly) {
+            ctx.add_item('Remove dependency', () =>
+                ctx.chart.remove_arrow(ctx.arrow),
+            );
+        }
+    },
     readonly_progress: false,
     readonly_dates: false,
     readonly: false,
     scroll_to: 'today',
+    resources: [],
+    show_critical_path: false,
     show_expected_progress: false,
+    show_resources: false,
+    show_task_grid: false,
+    sort_by: null,
+    task_grid_columns: ['name', 'start', 'end', 'duration'],
     today_button: true,
     view_mode: 'Day',
     view_mode_select: false,
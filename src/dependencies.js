@@ -0,0 +1,82 @@
+import date_utils from './date_utils';
+
+export const DEPENDENCY_TYPES = ['FS', 'SS', 'FF', 'SF'];
+
+/**
+ * Parse the `dependencies` of a task into a list of links.
+ *
+ * Accepts a comma separated string (`"T1, T2:SS+2d, T3:FF-1d"`), or an array
+ * of such strings and/or objects in the form `{ id, type, lag }`. The type
+ * defaults to finish-to-start and a lag without a unit is read as days.
+ * Unknown types fall back to finish-to-start and unreadable lags to none.
+ *
+ * @param {string|Array} dependencies
+ * @param {Array} [problems] - receives `{ dependency_id, field, value }` for
+ *  every type or lag that had to be replaced
+ * @returns {Array<{id: string, type: string, lag: string}>}
+ */
+export function parse_dependencies(dependencies, problems = []) {
+    if (!dependencies) return [];
+    if (typeof dependencies === 'string') {
+        dependencies = dependencies.split(',');
+    } else if (!Array.isArray(dependencies)) {
+        dependencies = [dependencies];
+    }
+    return dependencies
+        .map((dependency) => parse_dependency(dependency, problems))
+        .filter(Boolean);
+}
+
+/**
+ * Turn a link back into its shortest string form, e.g. `"T1:SS+2d"`.
+ * Plain finish-to-start links are written as the bare id.
+ *
+ * @param {{id: string, type: string, lag: string}} link
+ * @returns {string}
+ */
+export function format_dependency({ id, type = 'FS', lag = '0d' }) {
+    const { duration } = date_utils.parse_duration(lag);
+    if (type === 'FS' && !duration) return id;
+    return `${id}:${type}${duration ? (duration > 0 ? '+' : '') + lag : ''}`;
+}
+
+function parse_dependency(dependency, problems) {
+    let id, type, lag;
+    if (dependency && typeof dependency === 'object') {
+        ({ id, type, lag } = dependency);
+    } else {
+        dependency = `${dependency}`.trim();
+        const match =
+            /^(.+?)\s*:\s*([a-z]{2})?\s*([+-]\s*[0-9]+\s*[a-z]*)?$/i.exec(
+                dependency,
+            );
+        if (match && (match[2] || match[3])) [, id, type, lag] = match;
+        else id = dependency;
+    }
+    if (id === undefined || id === null || `${id}`.trim() === '') return null;
+
+    id = `${id}`.trim().replaceAll(' ', '_');
+    type = (type || 'FS').toUpperCase();
+    if (!DEPENDENCY_TYPES.includes(type)) {
+        problems.push({ dependency_id: id, field: 'type', value: type });
+        type = 'FS';
+    }
+    let normalized = normalize_lag(lag);
+    if (normalized === null) {
+        problems.push({ dependency_id: id, field: 'lag', value: `${lag}` });
+        normalized = '0d';
+    }
+    return { id, type, lag: normalized };
+}
+
+// null when the lag can't be read
+function normalize_lag(lag) {
+    if (lag === undefined || lag === null || lag === '') return '0d';
+    if (typeof lag === 'number') return `${Math.round(lag)}d`;
+
+    lag = `${lag}`.replace(/\s/g, '').replace(/^\+/, '');
+    if (/^-?[0-9]+$/.test(lag)) lag += 'd';
+    // stricter than date_utils.parse_duration, which reads "2days" as "2d":
+    // a lag is stored as written, so it has to be exactly a number and unit
+    return /^-?[0-9]+(ms|min|y|m|d|h|s)$/.test(lag) ? lag : null;
+}
@@ -0,0 +1,46 @@
+/**
+ * Undo and redo stacks of reversible commands. A command is an object with
+ * an `undo` and a `redo` function.
+ */
+export default class History {
+    constructor(limit = 100) {
+        this.limit = limit;
+        this.clear();
+    }
+
+    record(command) {
+        this.done.push(command);
+        if (this.done.length > this.limit) this.done.shift();
+        // a new edit makes the undone ones unreachable
+        this.undone = [];
+    }
+
+    undo() {
+        const command = this.done.pop();
+        if (!command) return false;
+        command.undo();
+        this.undone.push(command);
+        return true;
+    }
+
+    redo() {
+        const command = this.undone.pop();
+        if (!command) return false;
+        command.redo();
+        this.done.push(command);
+        return true;
+    }
+
+    can_undo() {
+        return this.done.length > 0;
+    }
+
+    can_redo() {
+        return this.undone.length > 0;
+    }
+
+    clear() {
+        this.done = [];
+        this.undone = [];
+    }
+}
@@ -3,16 +3,40 @@ import { $, createSVG } from './svg_utils';
 
 import Arrow from './arrow';
 import Bar from './bar';
+import ContextMenu from './context_menu';
+import History from './history';
 import Popup from './popup';
+import ResourcePanel from './resource_panel';
+import { get_comparator, group_tasks } from './rows';
+import TaskGrid from './task_grid';
+import {
+    check_task_dates,
+    check_task_dependencies,
+    normalize_id,
+    validate_tasks,
+} from './validation';
+import { parse_dependencies, format_dependency } from './dependencies';
+import {
+    compute_critical_path,
+    get_constraint_violations,
+    schedule_tasks,
+} from './scheduler';
 
 import { DEFAULT_OPTIONS, DEFAULT_VIEW_MODES } from './defaults';
 
 import './styles/gantt.css';
 
+let chart_count = 0;
+
 export default class Gantt {
     constructor(wrapper, tasks, options) {
+        // keeps the ids of SVG elements apart between charts on a page
+        this.uid = `gantt${++chart_count}`;
         this.setup_wrapper(wrapper);
         this.setup_options(options);
+        // kept across refreshes, for the tasks that are still there
+        this.history = new History();
+        this.selected_ids = new Set();
         this.setup_tasks(tasks);
         this.change_view_mode();
         this.bind_events();
@@ -93,6 +117,8 @@ export default class Gantt {
             ignored_positions: [],
             extend_by_units: 10,
         };
+        this.baselines = { ...this.baselines, ...this.options.baselines };
+        this.collapsed_groups = this.collapsed_groups || new Set();
 
         if (typeof this.options.ignore !== 'function') {
             if (typeof this.options.ignore === 'string')
@@ -116,98 +142,302 @@ export default class Gantt {
 
     update_options(options) {
         this.setup_options({ ...this.original_options, ...options });
+        // sorting and grouping may have changed
+        this.setup_rows();
         this.change_view_mode(undefined, true);
     }
 
     setup_tasks(tasks) {
-        this.tasks = tasks
-            .map((task, i) => {
-                if (!task.start) {
-                    console.error(
-                        `task "${task.id}" doesn't have a start date`,
-                    );
-                    return false;
-                }
+        // uids
+        for (let task of tasks) {
+            task.id = task.id ? normalize_id(task.id) : generate_id(task);
+        }
+        this.errors = validate_tasks(tasks);
+        this.report_errors(this.errors);
 
-                task._start = date_utils.parse(task.start);
-                if (task.end === undefined && task.duration !== undefined) {
-                    task.end = task._start;
-                    let durations = task.duration.split(' ');
+        const parent_ids = get_parent_ids(tasks);
+        const seen = new Set();
 
-                    durations.forEach((tmpDuration) => {
-                        let { duration, scale } =
-                            date_utils.parse_duration(tmpDuration);
-                        task.end = date_utils.add(task.end, duration, scale);
-                    });
-                }
-                if (!task.end) {
-                    console.error(`task "${task.id}" doesn't have an end date`);
-                    return false;
-                }
-                task._end = date_utils.parse(task.end);
+        this.tasks = tasks.filter((task) => {
+            // the first task with an id wins
+            if (seen.has(task.id)) return false;
+            seen.add(task.id);
+            return this.parse_task(task, parent_ids);
+        });
+        this.setup_hierarchy();
+        this.setup_rows();
+        this.setup_dependencies();
+        for (let id of this.selected_ids) {
+            if (!this.get_task(id)) this.selected_ids.delete(id);
+        }
+        // the tasks are only being set up, there's nothing to notify yet
+        this.reschedule(false);
+        // the violations they come with are only marked, see check_constraints
+        for (let task of this.tasks) {
+            task._violations = get_constraint_violations(task);
+        }
+    }
 
-                let diff = date_utils.diff(task._end, task._start, 'year');
-                if (diff < 0) {
-                    console.error(
-                        `start of task can't be after end of task: in task "${task.id}"`,
-                    );
-                    return false;
-                }
+    /**
+     * Validate the given tasks without drawing them, see `validate_tasks`
+     * for the kinds of errors reported.
+     *
+     * @param {Array} tasks - defaults to the tasks of the chart
+     * @returns {Array<Object>} the errors found
+     * @memberof Gantt
+     */
+    validate(tasks = this.tasks) {
+        return validate_tasks(tasks);
+    }
+
+    report_errors(errors) {
+        if (!errors.length) return;
+        if (this.options.on_error) {
+            this.trigger_event('error', [errors]);
+        } else {
+            errors.forEach((error) => console.error(error.message));
+        }
+    }
+
+    // false when the task has to be left out of the chart
+    parse_task(task, parent_ids) {
+        // summary tasks take their dates from their children
+        if (!parent_ids.includes(task.id) && !this.parse_task_dates(task))
+            return false;
+
+        this.parse_task_constraints(task);
+        this.parse_task_dependencies(task);
+        return true;
+    }
+
+    // invalid tasks are reported by validate_tasks and just left out here
+    parse_task_dates(task) {
+        if (check_task_dates(task)) return false;
+
+        task._segments = null;
+        if (task.segments && task.segments.length) {
+            // split tasks span from their first to their last segment
+            task._segments = task.segments
+                .map((segment) => {
+                    const _start = date_utils.parse(segment.start);
+                    const end =
+                        segment.end !== undefined
+                            ? date_utils.parse(segment.end)
+                            : date_utils.add_duration(_start, segment.duration);
+                    return { _start, _end: include_last_day(end) };
+                })
+                .sort((a, b) => a._start - b._start);
+            task._start = task._segments[0]._start;
+            task._end = new Date(
+                Math.max(...task._segments.map(({ _end }) => _end)),
+            );
+        } else {
+            task._start = date_utils.parse(task.start);
+            // a milestone only for lack of a duration stops being one once
+            // it gets a duration
+            if (task._implicit_milestone) delete task.type;
+            const implicit = task.type !== 'milestone';
+            task._implicit_milestone = false;
+            // an end derived from the duration is derived again on every
+            // parse, so it isn't stored on the task
+            let end = task.end;
+            if (end === undefined && task.duration !== undefined) {
+                end = date_utils.add_duration(task._start, task.duration);
+                if (+end === +task._start) task.type = 'milestone';
+            }
+
+            // milestones mark a single point in time and need no end date
+            if (task.type === 'milestone' || end === undefined) {
+                task.type = 'milestone';
+                task._implicit_milestone = implicit;
+                task._end = new Date(task._start);
+            } else {
+                task._end = include_last_day(date_utils.parse(end));
+            }
+        }
+
+        if (task.baseline_start) {
+            task._baseline_start = date_utils.parse(task.baseline_start);
+            task._baseline_end = include_last_day(
+                date_utils.parse(task.baseline_end || task.baseline_start),
+            );
+        }
+        return true;
+    }
+
+    parse_task_constraints(task) {
+        task._constraints = {};
+        for (let key of ['start_no_earlier_than', 'must_start_on']) {
+            if (task[key]) task._constraints[key] = date_utils.parse(task[key]);
+        }
+        if (task.finish_no_later_than) {
+            task._constraints.finish_no_later_than = include_last_day(
+                date_utils.parse(task.finish_no_later_than),
+            );
+        }
+        task._deadline = task.deadline
+            ? include_last_day(date_utils.parse(task.deadline))
+            : null;
+    }
 
-                // make task invalid if duration too large
-                if (date_utils.diff(task._end, task._start, 'year') > 10) {
-                    console.error(
-                        `the duration of task "${task.id}" is too long (above ten years)`,
+    parse_task_dependencies(task) {
+        const links = parse_dependencies(task.dependencies);
+        task.dependencies = links.map(format_dependency);
+        task._dependencies = links.map(({ id, type, lag }) => ({
+            from: id,
+            to: task.id,
+            type,
+            lag,
+        }));
+    }
+
+    setup_hierarchy() {
+        const task_map = {};
+        for (let task of this.tasks) {
+            task._parent = null;
+            task._children = [];
+            task_map[task.id] = task;
+        }
+
+        for (let task of this.tasks) {
+            if (task.parent === undefined || task.parent === null) continue;
+            const parent = task_map[normalize_id(task.parent)];
+            if (!parent) continue;
+
+            // refuse links that would turn the tree into a loop
+            let ancestor = parent;
+            while (ancestor && ancestor !== task) ancestor = ancestor._parent;
+            if (ancestor === task) continue;
+
+            task._parent = parent;
+            parent._children.push(task);
+        }
+
+        // drop summary tasks whose children were all rejected
+        let empty;
+        do {
+            empty = this.tasks.filter(
+                (task) => !task._start && !task._children.length,
+            );
+            for (let task of empty) {
+                if (task._parent) {
+                    task._parent._children = task._parent._children.filter(
+                        (child) => child !== task,
                     );
-                    return false;
                 }
+            }
+            this.tasks = this.tasks.filter((task) => !empty.includes(task));
+        } while (empty.length);
 
-                // cache index
-                task._index = i;
+        for (let task of this.tasks) {
+            if (!task._parent) this.rollup_task(task);
+        }
+    }
 
-                // if hours is not set, assume the last day is full day
-                // e.g: 2018-09-09 becomes 2018-09-09 23:59:59
-                const task_end_values = date_utils.get_date_values(task._end);
-                if (task_end_values.slice(3).every((d) => d === 0)) {
-                    task._end = date_utils.add(task._end, 24, 'hour');
-                }
+    /**
+     * Derive the dates and progress of a summary task from its children.
+     * Progress is weighted by the duration of each child.
+     *
+     * @param {Object} task - summary task whose subtree should be rolled up
+     * @memberof Gantt
+     */
+    rollup_task(task) {
+        if (!task._children.length) return;
+
+        let start, end;
+        let total = 0,
+            done = 0;
+        for (let child of task._children) {
+            this.rollup_task(child);
+            if (!start || child._start < start) start = child._start;
+            if (!end || child._end > end) end = child._end;
+
+            const duration = child._end - child._start;
+            total += duration;
+            done += duration * (child.progress || 0);
+        }
+        task._start = start;
+        task._end = end;
+        task.progress = total ? done / total : 0;
+    }
 
-                // dependencies
-                if (
-                    typeof task.dependencies === 'string' ||
-                    !task.dependencies
-                ) {
-                    let deps = [];
-                    if (task.dependencies) {
-                        deps = task.dependencies
-                            .split(',')
-                            .map((d) => d.trim().replaceAll(' ', '_'))
-                            .filter((d) => d);
-                    }
-                    task.dependencies = deps;
-                }
+    update_summary_tasks(task) {
+        let ancestor = task._parent;
+        while (ancestor) {
+            this.rollup_task(ancestor);
+            const bar = this.get_bar(ancestor.id);
+            if (bar) {
+                bar.refresh();
+                bar.update_arrow_position();
+            }
+            ancestor = ancestor._parent;
+        }
+    }
 
-                // uids
-                if (!task.id) {
-                    task.id = generate_id(task);
-                } else if (typeof task.id === 'string') {
-                    task.id = task.id.replaceAll(' ', '_');
-                } else {
-                    task.id = `${task.id}`;
-                }
+    setup_rows() {
+        // every row is the list of tasks drawn on it, tasks with the same
+        // `row` key share the row of the first of them. Group headers are
+        // empty rows that carry their `group`.
+        this.rows = [];
+        this.groups = [];
+        const keyed_rows = {};
+        for (let task of this.tasks) task._hidden = true;
+
+        // tasks that match the filter and search stay, with their ancestors
+        const shown = new Set();
+        for (let task of this.get_matching_tasks()) {
+            for (let t = task; t && !shown.has(t); t = t._parent) shown.add(t);
+        }
 
-                return task;
-            })
-            .filter((t) => t);
-        this.setup_dependencies();
+        const add_row = (task, depth) => {
+            if (!shown.has(task)) return;
+            task._hidden = false;
+            task._depth = depth;
+            const key =
+                task.row !== undefined && task.row !== null ? task.row : null;
+            if (key !== null && keyed_rows[key] !== undefined) {
+                task._index = keyed_rows[key];
+                this.rows[task._index].push(task);
+            } else {
+                task._index = this.rows.length;
+                this.rows.push([task]);
+                if (key !== null) keyed_rows[key] = task._index;
+            }
+            if (task.collapsed) return;
+            for (let child of sort(task._children)) add_row(child, depth + 1);
+        };
+
+        const compare = get_comparator(this.options.sort_by);
+        const sort = (tasks) => (compare ? [...tasks].sort(compare) : tasks);
+        const roots = sort(this.tasks.filter((task) => !task._parent));
+        if (!this.options.group_by) {
+            for (let task of roots) add_row(task, 0);
+            return;
+        }
+
+        // subtasks stay with their parent, only root tasks are grouped
+        const shown_roots = roots.filter((task) => shown.has(task));
+        for (let group of group_tasks(shown_roots, this.options.group_by)) {
+            group.collapsed = this.collapsed_groups.has(group.key);
+            group._index = this.rows.length;
+            this.groups.push(group);
+
+            const header = [];
+            header.group = group;
+            this.rows.push(header);
+            if (group.collapsed) continue;
+            for (let task of group.tasks) add_row(task, 1);
+        }
     }
 
     setup_dependencies() {
+        // maps the id of a task to the links of the tasks depending on it
         this.dependency_map = {};
         for (let t of this.tasks) {
-            for (let d of t.dependencies) {
-                this.dependency_map[d] = this.dependency_map[d] || [];
-                this.dependency_map[d].push(t.id);
+            for (let link of t._dependencies) {
+                this.dependency_map[link.from] =
+                    this.dependency_map[link.from] || [];
+                this.dependency_map[link.from].push(link);
             }
         }
     }
@@ -217,11 +447,629 @@ export default class Gantt {
         this.change_view_mode();
     }
 
+    /**
+     * Run several changes to the tasks, e.g. `add_task` and
+     * `remove_task`, and draw them once when they are done. Tasks added in
+     * a batch are checked and parsed at its end.
+     *
+     * @param {Function} fn - makes the changes
+     * @returns whatever `fn` returns
+     * @memberof Gantt
+     */
+    batch(fn) {
+        if (this.pending_changes) return fn();
+        this.pending_changes = {
+            added: [],
+            updated: new Set(),
+            rows: this.rows.length,
+            groups: get_groups_key(this.groups),
+            indexes: new Map(this.tasks.map((task) => [task, task._index])),
+        };
+        try {
+            return fn();
+        } finally {
+            const changes = this.pending_changes;
+            this.pending_changes = null;
+            this.apply_changes(changes);
+        }
+    }
+
+    /**
+     * Add a task to the chart. It goes through the same checks as the
+     * tasks the chart was created with.
+     *
+     * @param {Object} task
+     * @returns {Object} the task
+     * @memberof Gantt
+     */
+    add_task(task) {
+        return this.batch(() => {
+            task.id = task.id ? normalize_id(task.id) : generate_id(task);
+            this.pending_changes.added.push(task);
+            return task;
+        });
+    }
+
+    /**
+     * Remove a task along with its subtasks. Summary tasks left without
+     * children go with it, and dependencies on the removed tasks are
+     * dropped from the other tasks.
+     *
+     * @param {string} id
+     * @returns {Object|null} the removed task
+     * @memberof Gantt
+     */
+    remove_task(id) {
+        const task = this.get_task(id);
+        if (!task) return null;
+        return this.batch(() => {
+            const removed = new Set();
+            const collect = (t) => {
+                removed.add(t);
+                t._children.forEach(collect);
+            };
+            collect(task);
+            // a summary has no dates of its own once its children are gone
+            let parent = task._parent;
+            while (parent && parent._children.every((c) => removed.has(c))) {
+                removed.add(parent);
+                parent = parent._parent;
+            }
+            this.tasks = this.tasks.filter((t) => !removed.has(t));
+
+            const ids = new Set([...removed].map((t) => t.id));
+            ids.forEach((id) => this.selected_ids.delete(id));
+            for (let other of this.tasks) {
+                if (!other._dependencies.some((link) => ids.has(link.from)))
+                    continue;
+                other._dependencies = other._dependencies.filter(
+                    (link) => !ids.has(link.from),
+                );
+                other.dependencies = format_links(other._dependencies);
+            }
+            return task;
+        });
+    }
+
+    /**
+     * Make a task depend on another one. Links from a task to itself or to
+     * a summary task, links that already exist and links that would close
+     * a loop are refused.
+     *
+     * @param {string} from_id - id of the predecessor
+     * @param {string} to_id - id of the task depending on it
+     * @param {string} [type] - one of `FS`, `SS`, `FF` and `SF`
+     * @param {string} [lag]
+     * @returns {Object|null} the new link, null when it was refused
+     * @memberof Gantt
+     */
+    add_dependency(from_id, to_id, type = 'FS', lag = '0d') {
+        const from = this.get_task(from_id);
+        const to = this.get_task(to_id);
+        if (!this.can_link(from, to)) return null;
+
+        const link = { from: from.id, to: to.id, type, lag };
+        this.batch(() => {
+            to._dependencies.push(link);
+            to.dependencies = format_links(to._dependencies);
+            this.pending_changes.updated.add(to);
+        });
+        return link;
+    }
+
+    /**
+     * Remove the link making a task depend on another one.
+     *
+     * @param {string} from_id - id of the predecessor
+     * @param {string} to_id - id of the task depending on it
+     * @returns {Object|null} the removed link, null when there was none
+     * @memberof Gantt
+     */
+    remove_dependency(from_id, to_id) {
+        const to = this.get_task(to_id);
+        const link = to?._dependencies.find((link) => link.from === from_id);
+        if (!link) return null;
+        this.batch(() => {
+            to._dependencies = to._dependencies.filter((l) => l !== link);
+            to.dependencies = format_links(to._dependencies);
+        });
+        return link;
+    }
+
+    can_link(from, to) {
+        if (!from || !to || from === to) return false;
+        if (from._children.length || to._children.length) return false;
+        if (to._dependencies.some((link) => link.from === from.id))
+            return false;
+        return !this.get_all_dependent_tasks(to.id).includes(from.id);
+    }
+
     update_task(id, new_details) {
-        let task = this.tasks.find((t) => t.id === id);
-        let bar = this.bars[task._index];
-        Object.assign(task, new_details);
-        bar.refresh();
+        let task = this.get_task(id);
+        if (!task) return;
+        this.batch(() => {
+            Object.assign(task, new_details);
+            // the end follows a new duration, even one derived from the last
+            if ('duration' in new_details && !('end' in new_details))
+                delete task.end;
+            if (
+                ['start', 'end', 'duration', 'segments'].some(
+                    (key) => key in new_details,
+                ) &&
+                !task._children.length &&
+                !this.parse_task_dates(task)
+            ) {
+                this.report_errors([
+                    {
+                        type: 'invalid_date',
+                        task_id: task.id,
+                        message: check_task_dates(task),
+                    },
+                ]);
+                return;
+            }
+            this.parse_task_constraints(task);
+            if ('dependencies' in new_details) {
+                this.report_errors(check_task_dependencies(task));
+                this.parse_task_dependencies(task);
+            }
+            this.pending_changes.updated.add(task);
+        });
+    }
+
+    /**
+     * Update several tasks and draw them once.
+     *
+     * @param {Array<Object>} updates - the `id` of a task with the details
+     *  to change, as for `update_task`
+     * @memberof Gantt
+     */
+    update_tasks(updates) {
+        this.batch(() => {
+            for (let { id, ...details } of updates) {
+                this.update_task(id, details);
+            }
+        });
+    }
+
+    apply_changes(changes) {
+        const { added, updated } = changes;
+        if (added.length) {
+            const ids = new Set(added.map((task) => task.id));
+            const errors = validate_tasks([...this.tasks, ...added]).filter(
+                (error) =>
+                    ids.has(error.task_id) ||
+                    (error.cycle || []).some((id) => ids.has(id)),
+            );
+            this.errors.push(...errors);
+            this.report_errors(errors);
+
+            const parent_ids = get_parent_ids([...this.tasks, ...added]);
+            const seen = new Set(this.tasks.map((task) => task.id));
+            for (let task of added) {
+                if (seen.has(task.id)) continue;
+                seen.add(task.id);
+                if (!this.parse_task(task, parent_ids)) continue;
+                this.tasks.push(task);
+                updated.add(task);
+            }
+        }
+
+        this.setup_hierarchy();
+        this.setup_rows();
+        this.setup_dependencies();
+        for (let task of this.reschedule()) updated.add(task);
+        this.draw_changes(changes);
+    }
+
+    // only redraws the bars, arrows and rows that the changes touched
+    draw_changes({ updated, rows, groups, indexes }) {
+        if (
+            this.tasks.some(
+                (task) =>
+                    task._start < this.gantt_start ||
+                    task._end > this.gantt_end,
+            )
+        ) {
+            // the dates only grow, keep what is in view where it was
+            const { gantt_start: old_start, gantt_end: old_end } = this;
+            const { scrollLeft } = this.$container;
+            const scroll_to = this.options.scroll_to;
+            this.options.scroll_to = null;
+            this.setup_gantt_dates();
+            if (old_start < this.gantt_start) this.gantt_start = old_start;
+            if (old_end > this.gantt_end) this.gantt_end = old_end;
+            this.setup_date_values();
+            this.render();
+            this.$container.scrollLeft = scrollLeft + this.date_to_x(old_start);
+            this.options.scroll_to = scroll_to;
+            return;
+        }
+
+        if (
+            this.rows.length !== rows ||
+            get_groups_key(this.groups) !== groups
+        ) {
+            this.redraw_grid();
+        }
+
+        // summary tasks follow their children
+        for (let task of [...updated]) {
+            for (let p = task._parent; p; p = p._parent) updated.add(p);
+        }
+        const old_bars = new Map(this.bars.map((bar) => [bar.task, bar]));
+        const refreshed = new Set();
+        this.bars = this.rows.flat().map((task) => {
+            let bar = old_bars.get(task);
+            if (!bar) {
+                bar = new Bar(this, task);
+                this.layers.bar.appendChild(bar.group);
+                refreshed.add(bar);
+                return bar;
+            }
+            old_bars.delete(task);
+            if (updated.has(task) || indexes.get(task) !== task._index) {
+                bar.refresh();
+                refreshed.add(bar);
+            }
+            return bar;
+        });
+        for (let bar of old_bars.values()) bar.group.remove();
+
+        this.update_arrows(refreshed);
+        this.update_overlays();
+    }
+
+    // rebuilds the rows of the grid when their number changed
+    redraw_grid() {
+        this.$svg.querySelector('.grid-background')?.remove();
+        this.layers.grid.innerHTML = '';
+        this.$current_highlight?.remove?.();
+        this.$current_ball_highlight?.remove?.();
+        this.$extras
+            .querySelectorAll('.group-label, .holiday-label')
+            .forEach(($label) => $label.remove());
+
+        this.make_grid_background();
+        this.make_grid_rows();
+        this.make_group_rows();
+        this.make_grid_extras();
+        this.set_dimensions();
+    }
+
+    // keeps the arrows whose bars are unchanged, redrawing the others
+    update_arrows(refreshed) {
+        const old_arrows = new Map(
+            this.arrows.map((arrow) => [get_arrow_key(arrow), arrow]),
+        );
+        this.arrows = [];
+        for (let task of this.rows.flat()) {
+            const to_bar = this.get_bar(task.id);
+            for (let link of task._dependencies) {
+                const from_bar = this.get_bar(link.from);
+                if (!from_bar) continue;
+                const key = get_arrow_key({
+                    from_task: from_bar,
+                    to_task: to_bar,
+                    type: link.type,
+                });
+                let arrow = old_arrows.get(key);
+                if (
+                    arrow &&
+                    arrow.from_task === from_bar &&
+                    arrow.to_task === to_bar
+                ) {
+                    old_arrows.delete(key);
+                    if (refreshed.has(from_bar) || refreshed.has(to_bar))
+                        arrow.update();
+                } else {
+                    arrow = new Arrow(this, from_bar, to_bar, link.type);
+                    this.layers.arrow.appendChild(arrow.element);
+                }
+                this.arrows.push(arrow);
+            }
+        }
+        for (let arrow of old_arrows.values()) arrow.element.remove();
+        this.map_arrows_on_bars();
+    }
+
+    /**
+     * Move tasks later where their dependencies require it. Does nothing
+     * unless the `auto_schedule` option is set.
+     *
+     * @param {boolean} [notify=true] - fire `date_change` for the moved tasks
+     * @returns Array of the tasks that were moved
+     * @memberof Gantt
+     */
+    reschedule(notify = true) {
+        if (!this.options.auto_schedule) return [];
+        const changes = schedule_tasks(this.tasks, this.dependency_map, (d) =>
+            this.is_ignored_date(d),
+        );
+
+        for (let { task, start, end } of changes) {
+            move_task(task, start, end);
+        }
+        for (let task of this.tasks) {
+            if (!task._parent) this.rollup_task(task);
+        }
+        for (let { task } of notify ? changes : []) {
+            this.trigger_event('date_change', [
+                task,
+                task._start,
+                date_utils.add(task._end, -1, 'second'),
+            ]);
+        }
+        return changes.map(({ task }) => task);
+    }
+
+    /**
+     * Undo the last drag, resize or progress change. The tasks are put
+     * back with their dependents and fire `date_change` or
+     * `progress_change` again.
+     *
+     * @returns {boolean} false when there was nothing to undo
+     * @memberof Gantt
+     */
+    undo() {
+        return this.history.undo();
+    }
+
+    /**
+     * Apply the last undone change again.
+     *
+     * @returns {boolean} false when there was nothing to redo
+     * @memberof Gantt
+     */
+    redo() {
+        return this.history.redo();
+    }
+
+    can_undo() {
+        return this.history.can_undo();
+    }
+
+    can_redo() {
+        return this.history.can_redo();
+    }
+
+    // dates and progress of the tasks that can be edited, to record edits
+    // keyed by id, so that the history outlives the task objects on refresh
+    snapshot_tasks() {
+        return new Map(this.tasks.map((task) => [task.id, get_state(task)]));
+    }
+
+    /**
+     * Record what changed since the snapshot as one step of the history.
+     *
+     * @param {Map} before - taken with `snapshot_tasks` before the edit
+     * @memberof Gantt
+     */
+    record_changes(before) {
+        const undo = new Map();
+        const redo = new Map();
+        for (let [id, state] of before) {
+            const task = this.get_task(id);
+            if (!task) continue;
+            const now = get_state(task);
+            if (same_state(state, now)) continue;
+            undo.set(id, state);
+            redo.set(id, now);
+        }
+        if (!undo.size) return;
+        this.history.record({
+            undo: () => this.restore_tasks(undo),
+            redo: () => this.restore_tasks(redo),
+        });
+    }
+
+    restore_tasks(states) {
+        this.hide_popup();
+        const tasks = [];
+        for (let [id, state] of states) {
+            // tasks removed since are left out
+            const task = this.get_task(id);
+            if (!task) continue;
+            tasks.push(task);
+            const now = get_state(task);
+            if (now.name !== state.name) {
+                task.name = state.name;
+                this.trigger_event('name_change', [task, task.name]);
+            }
+            // summary tasks take their dates from their children
+            if (task._children.length) continue;
+
+            task._start = state._start;
+            task._end = state._end;
+            task._segments =
+                state._segments && state._segments.map((s) => ({ ...s }));
+            store_dates(task);
+            task.progress = state.progress;
+
+            if (+now._start !== +state._start || +now._end !== +state._end) {
+                this.trigger_event('date_change', [
+                    task,
+                    task._start,
+                    task.type === 'milestone'
+                        ? task._start
+                        : date_utils.add(task._end, -1, 'second'),
+                ]);
+            }
+            if (now.progress !== state.progress) {
+                this.trigger_event('progress_change', [task, task.progress]);
+            }
+        }
+        this.refresh_bars(tasks);
+        this.update_overlays();
+    }
+
+    refresh_bars(tasks) {
+        for (let task of tasks) {
+            const bar = this.get_bar(task.id);
+            if (bar) {
+                bar.refresh();
+                bar.update_arrow_position();
+            }
+            this.update_summary_tasks(task);
+        }
+    }
+
+    date_to_x(date) {
+        return (
+            (date_utils.diff(date, this.gantt_start, this.config.unit) /
+                this.config.step) *
+            this.config.column_width
+        );
+    }
+
+    x_to_date(x) {
+        return date_utils.add(
+            this.gantt_start,
+            (x / this.config.column_width) * this.config.step,
+            this.config.unit,
+        );
+    }
+
+    is_ignored_date(date) {
+        return !!(
+            this.config.ignored_dates.find(
+                (k) => k.getTime() === date.getTime(),
+            ) ||
+            (this.config.ignored_function && this.config.ignored_function(date))
+        );
+    }
+
+    /**
+     * Snapshot the current dates of all tasks as a named baseline and show it.
+     *
+     * @param {string} [name] - name of the baseline, replaced if it exists
+     * @returns Object mapping task ids to their `start` and `end` dates,
+     * which can be passed back in the `baselines` option later
+     * @memberof Gantt
+     */
+    save_baseline(name = 'default') {
+        const snapshot = {};
+        for (let task of this.tasks) {
+            snapshot[task.id] = {
+                start: new Date(task._start),
+                end: new Date(task._end),
+            };
+        }
+        this.baselines[name] = snapshot;
+        this.set_baseline(name);
+        return snapshot;
+    }
+
+    /**
+     * Switch the baseline drawn under the bars.
+     *
+     * @param {string|null} name - a saved baseline, or null to fall back to
+     * the `baseline_start` and `baseline_end` of each task
+     * @memberof Gantt
+     */
+    set_baseline(name) {
+        if (name && !this.baselines[name]) {
+            throw new ReferenceError(`baseline "${name}" doesn't exist`);
+        }
+        this.options.baseline = name || null;
+        for (let bar of this.bars) bar.draw_baseline();
+    }
+
+    get_baseline(task) {
+        const snapshot = this.options.baseline
+            ? this.baselines[this.options.baseline] || {}
+            : {};
+        const entry = snapshot[task.id];
+        if (entry) {
+            return { start: new Date(entry.start), end: new Date(entry.end) };
+        }
+        if (!this.options.baseline && task._baseline_start) {
+            return { start: task._baseline_start, end: task._baseline_end };
+        }
+        return null;
+    }
+
+    /**
+     * Only draw the tasks the predicate returns true for. Hidden tasks stay
+     * in `this.tasks`, still move with their dependencies and come back once
+     * the filter is cleared. Summary tasks stay visible while any of their
+     * children match.
+     *
+     * @param {Function|null} predicate - called with each task, null to show all
+     * @returns {Array} the matching tasks
+     * @memberof Gantt
+     */
+    set_filter(predicate) {
+        if (predicate !== null && typeof predicate !== 'function') {
+            throw new TypeError('The filter must be a function or null');
+        }
+        this.task_filter = predicate;
+        return this.apply_filters();
+    }
+
+    /**
+     * Only draw the tasks whose name contains the text, ignoring case. It is
+     * combined with the filter from `set_filter`.
+     *
+     * @param {string} text - empty to end the search
+     * @returns {Array} the matching tasks
+     * @memberof Gantt
+     */
+    search(text) {
+        this.search_text = (text || '').trim().toLowerCase();
+        return this.apply_filters();
+    }
+
+    get_matching_tasks() {
+        return this.tasks.filter(
+            (task) =>
+                (!this.task_filter || this.task_filter(task)) &&
+                (!this.search_text ||
+                    `${task.name || ''}`
+                        .toLowerCase()
+                        .includes(this.search_text)),
+        );
+    }
+
+    apply_filters() {
+        this.setup_rows();
+        this.change_view_mode(undefined, true);
+        return this.get_matching_tasks();
+    }
+
+    /**
+     * Collapse or expand a group of rows made by the `group_by` option.
+     *
+     * @param {string} key - key of the group
+     * @param {boolean} [collapsed] - force a state instead of toggling
+     * @memberof Gantt
+     */
+    toggle_group(key, collapsed) {
+        key = `${key}`;
+        if (collapsed === undefined) {
+            collapsed = !this.collapsed_groups.has(key);
+        }
+        if (collapsed) this.collapsed_groups.add(key);
+        else this.collapsed_groups.delete(key);
+
+        this.setup_rows();
+        this.change_view_mode(undefined, true);
+    }
+
+    /**
+     * Collapse or expand the subtree of a summary task.
+     *
+     * @param {string} id - id of the summary task
+     * @param {boolean} [collapsed] - force a state instead of toggling
+     * @memberof Gantt
+     */
+    toggle_collapse(id, collapsed) {
+        const task = this.get_task(id);
+        if (!task || !task._children.length) return;
+        task.collapsed = collapsed === undefined ? !task.collapsed : collapsed;
+
+        this.setup_rows();
+        this.change_view_mode(undefined, true);
     }
 
     change_view_mode(mode = this.options.view_mode, maintain_pos = false) {
@@ -246,6 +1094,23 @@ export default class Gantt {
         this.trigger_event('view_change', [mode]);
     }
 
+    /**
+     * Switch to the view mode `steps` places after the current one in
+     * `view_modes`, keeping the date in the middle of the view in place.
+     */
+    zoom(steps) {
+        const modes = this.options.view_modes;
+        const index = modes.findIndex(
+            ({ name }) => name === this.config.view_mode.name,
+        );
+        const mode = modes[index + steps];
+        if (!mode) return;
+        const width = this.$container.clientWidth;
+        const center = this.x_to_date(this.$container.scrollLeft + width / 2);
+        this.change_view_mode(mode, true);
+        this.$container.scrollLeft = this.date_to_x(center) - width / 2;
+    }
+
     update_view_scale(mode) {
         let { duration, scale } = date_utils.parse_duration(mode.step);
         this.config.step = duration;
@@ -260,6 +1125,7 @@ export default class Gantt {
             this.options.lower_header_height +
             this.options.upper_header_height +
             10;
+        this.config.row_height = this.options.bar_height + this.options.padding;
     }
 
     setup_dates(refresh = false) {
@@ -344,24 +1210,36 @@ export default class Gantt {
         this.bind_grid_click();
         this.bind_holiday_labels();
         this.bind_bar_events();
+        this.bind_arrow_events();
+        this.bind_selection();
+        this.bind_grid_drag();
+        this.bind_context_menu();
+        this.bind_keys();
     }
 
     render() {
         this.clear();
         this.setup_layers();
+        this.resource_panel = this.options.show_resources
+            ? new ResourcePanel(this)
+            : null;
+        this.task_grid = this.options.show_task_grid
+            ? new TaskGrid(this)
+            : null;
         this.make_grid();
         this.make_dates();
         this.make_grid_extras();
         this.make_bars();
         this.make_arrows();
         this.map_arrows_on_bars();
+        this.update_overlays();
         this.set_dimensions();
         this.set_scroll_position(this.options.scroll_to);
     }
 
     setup_layers() {
         this.layers = {};
-        const layers = ['grid', 'arrow', 'progress', 'bar'];
+        const layers = ['grid', 'resource', 'arrow', 'progress', 'bar'];
         // make group layers
         for (let layer of layers) {
             this.layers[layer] = createSVG('g', {
@@ -384,6 +1262,7 @@ export default class Gantt {
     make_grid() {
         this.make_grid_background();
         this.make_grid_rows();
+        this.make_group_rows();
         this.make_grid_header();
         this.make_side_header();
     }
@@ -399,7 +1278,8 @@ export default class Gantt {
             this.config.header_height +
                 this.options.padding +
                 (this.options.bar_height + this.options.padding) *
-                    this.tasks.length -
+                    this.rows.length +
+                (this.resource_panel ? this.resource_panel.height : 0) -
                 10,
             this.options.container_height !== 'auto'
                 ? this.options.container_height
@@ -428,7 +1308,7 @@ export default class Gantt {
         const rows_layer = createSVG('g', { append_to: this.layers.grid });
 
         const row_width = this.dates.length * this.config.column_width;
-        const row_height = this.options.bar_height + this.options.padding;
+        const row_height = this.config.row_height;
 
         let y = this.config.header_height;
         for (
@@ -447,6 +1327,32 @@ export default class Gantt {
         }
     }
 
+    make_group_rows() {
+        const { header_height, row_height, column_width } = this.config;
+        for (let group of this.groups) {
+            const y = header_height + group._index * row_height;
+            createSVG('rect', {
+                x: 0,
+                y,
+                width: this.dates.length * column_width,
+                height: row_height,
+                class: 'group-row',
+                'data-group': group.key,
+                append_to: this.layers.grid,
+            });
+            // the task grid shows the groups already
+            if (this.task_grid) continue;
+            const $label = this.create_el({
+                top: y - header_height,
+                left: 0,
+                classes: 'group-label',
+                append_to: this.$extras,
+            });
+            $label.textContent = `${group.collapsed ? '▸' : '▾'} ${group.key || 'None'}`;
+            $label.dataset.group = group.key;
+        }
+    }
+
     make_grid_header() {
         this.$header = this.create_el({
             width: this.dates.length * this.config.column_width,
@@ -703,8 +1609,7 @@ export default class Gantt {
         this.config.ignored_positions = [];
 
         const height =
-            (this.options.bar_height + this.options.padding) *
-            this.tasks.length;
+            (this.options.bar_height + this.options.padding) * this.rows.length;
         this.layers.grid.innerHTML += `<pattern id="diagonalHatch" patternUnits="userSpaceOnUse" width="4" height="4">
           <path d="M-1,1 l2,-2
                    M0,4 l4,-4
@@ -852,7 +1757,7 @@ export default class Gantt {
     }
 
     make_bars() {
-        this.bars = this.tasks.map((task) => {
+        this.bars = this.rows.flat().map((task) => {
             const bar = new Bar(this, task);
             this.layers.bar.appendChild(bar.group);
             return bar;
@@ -861,16 +1766,19 @@ export default class Gantt {
 
     make_arrows() {
         this.arrows = [];
-        for (let task of this.tasks) {
+        this.selected_arrow = null;
+        for (let task of this.rows.flat()) {
             let arrows = [];
-            arrows = task.dependencies
-                .map((task_id) => {
-                    const dependency = this.get_task(task_id);
-                    if (!dependency) return;
+            arrows = task._dependencies
+                .map((link) => {
+                    const from_bar = this.get_bar(link.from);
+                    // dependency is missing or hidden in a collapsed subtree
+                    if (!from_bar) return;
                     const arrow = new Arrow(
                         this,
-                        this.bars[dependency._index], // from_task
-                        this.bars[task._index], // to_task
+                        from_bar, // from_task
+                        this.get_bar(task.id), // to_task
+                        link.type,
                     );
                     this.layers.arrow.appendChild(arrow.element);
                     return arrow;
@@ -880,14 +1788,86 @@ export default class Gantt {
         }
     }
 
-    map_arrows_on_bars() {
+    map_arrows_on_bars() {
+        for (let bar of this.bars) {
+            bar.arrows = this.arrows.filter((arrow) => {
+                return (
+                    arrow.from_task.task.id === bar.task.id ||
+                    arrow.to_task.task.id === bar.task.id
+                );
+            });
+        }
+    }
+
+    /**
+     * Compute early and late dates and the total float of every task.
+     *
+     * @returns Object mapping task ids to `early_start`, `early_finish`,
+     * `late_start`, `late_finish`, `total_float` (in days) and `critical`
+     * @memberof Gantt
+     */
+    get_critical_path() {
+        return compute_critical_path(this.tasks, this.dependency_map);
+    }
+
+    /**
+     * Redraw what is derived from the dates of all tasks, once they change.
+     *
+     * @memberof Gantt
+     */
+    update_overlays() {
+        this.check_constraints();
+        this.highlight_critical_path();
+        if (this.resource_panel) {
+            // changed tasks may name new resources, which need rows
+            const { height } = this.resource_panel;
+            this.resource_panel.setup_resources();
+            if (this.resource_panel.height !== height) this.redraw_grid();
+            this.resource_panel.draw();
+        }
+        if (this.task_grid) this.task_grid.draw();
+    }
+
+    /**
+     * Mark the bars of tasks that break a constraint or their deadline, and
+     * fire `constraint_violation` for every task a change gave a new
+     * violation. Those the tasks were set up or refreshed with don't fire.
+     *
+     * @memberof Gantt
+     */
+    check_constraints() {
+        for (let task of this.tasks) {
+            const violations = get_constraint_violations(task);
+            const bar = this.get_bar(task.id);
+            if (bar) {
+                bar.group.classList.toggle(
+                    'constraint-violation',
+                    violations.length > 0,
+                );
+            }
+
+            const previous = task._violations || [];
+            task._violations = violations;
+            if (violations.some((v) => !previous.includes(v))) {
+                this.trigger_event('constraint_violation', [task, violations]);
+            }
+        }
+    }
+
+    highlight_critical_path() {
+        if (!this.options.show_critical_path) return;
+        const info = this.get_critical_path();
+        const is_critical = (id) => !!(info[id] && info[id].critical);
+
         for (let bar of this.bars) {
-            bar.arrows = this.arrows.filter((arrow) => {
-                return (
-                    arrow.from_task.task.id === bar.task.id ||
-                    arrow.to_task.task.id === bar.task.id
-                );
-            });
+            bar.group.classList.toggle('critical', is_critical(bar.task.id));
+        }
+        for (let arrow of this.arrows) {
+            arrow.element.classList.toggle(
+                'critical',
+                is_critical(arrow.from_task.task.id) &&
+                    is_critical(arrow.to_task.task.id),
+            );
         }
     }
 
@@ -1029,6 +2009,370 @@ export default class Gantt {
                 this.hide_popup();
             },
         );
+        $.on(this.$container, 'click', '.group-row, .group-label', (e, $row) =>
+            this.toggle_group($row.dataset.group),
+        );
+    }
+
+    bind_keys() {
+        // clicking the chart focuses it, so the keys apply to this chart only
+        this.$container.tabIndex = -1;
+        $.on(this.$container, 'keydown', (e) => {
+            if (e.target.closest('input, textarea, [contenteditable]')) return;
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+                e.preventDefault();
+                if (e.shiftKey) this.redo();
+                else this.undo();
+            } else if (
+                (e.key === 'Delete' || e.key === 'Backspace') &&
+                this.selected_arrow
+            ) {
+                e.preventDefault();
+                this.remove_arrow(this.selected_arrow);
+            } else if (e.target.classList.contains('bar-wrapper')) {
+                this.handle_bar_key(e);
+            }
+        });
+    }
+
+    handle_bar_key(e) {
+        const bar = this.get_bar(e.target.getAttribute('data-id'));
+        if (!bar) return;
+        if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+            this.focus_row(bar.task._index, e.key === 'ArrowUp' ? -1 : 1);
+        } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+            this.nudge_bar(bar, e.key === 'ArrowLeft' ? -1 : 1, e.shiftKey);
+        } else if (e.key === 'Enter') {
+            const $bar = bar.$bar;
+            this.show_popup({
+                x: $bar.getEndX(),
+                y: $bar.getY() + $bar.getHeight() / 2,
+                task: bar.task,
+                target: $bar,
+            });
+        } else if (e.key === 'Escape') {
+            this.hide_popup();
+        } else {
+            return;
+        }
+        // keep the container from scrolling
+        e.preventDefault();
+    }
+
+    // focus the first bar of the next row in the direction, skipping
+    // group headers
+    focus_row(index, direction) {
+        for (
+            let i = index + direction;
+            i >= 0 && i < this.rows.length;
+            i += direction
+        ) {
+            const bar = this.rows[i][0] && this.get_bar(this.rows[i][0].id);
+            if (!bar) continue;
+            bar.group.focus();
+            bar.group.scrollIntoView?.({ block: 'nearest' });
+            return;
+        }
+    }
+
+    bind_selection() {
+        $.on(this.$svg, 'click', '.bar-wrapper', (e, element) => {
+            // animateSVG fires clicks of its own, they don't select
+            if (!(e instanceof MouseEvent)) return;
+            const id = element.getAttribute('data-id');
+            if (!(e.shiftKey || e.ctrlKey || e.metaKey)) {
+                return this.set_selection([id]);
+            }
+            this.hide_popup();
+            const ids = new Set(this.selected_ids);
+            if (ids.has(id)) ids.delete(id);
+            else ids.add(id);
+            this.set_selection(ids);
+        });
+    }
+
+    /**
+     * Dragging over the empty space of a row draws a new task there, see
+     * `create_drawn_task`. Leaving the row, holding Shift or Ctrl, or a
+     * readonly chart, makes it a lasso selecting the bars within instead.
+     */
+    bind_grid_drag() {
+        let drag = null;
+        this.bind_press('.grid-row', (e) => {
+            const { x, y } = this.get_pointer_position(e);
+            const add = e.shiftKey || e.ctrlKey || e.metaKey;
+            const row = this.get_row_at(y);
+            drag = {
+                x,
+                y,
+                add,
+                row: !add && this.can_draw_task(row) ? row : null,
+            };
+        });
+        $.on(this.$svg, 'pointermove', (e) => {
+            if (!drag) return;
+            const { x, y } = this.get_pointer_position(e);
+            if (!drag.started) {
+                // still a click on the row
+                if (Math.hypot(x - drag.x, y - drag.y) < 5) return;
+                this.capture_pointer(e.pointerId);
+                drag.started = true;
+            }
+            if (drag.row !== null && this.get_row_at(y) === drag.row) {
+                return this.update_draft(drag, x);
+            }
+            // the task isn't drawn once the pointer left its row
+            drag.row = null;
+            drag.$draft?.remove();
+            drag.$draft = null;
+            this.update_lasso(drag, x, y);
+        });
+        // a press that leaves the chart before it became a drag is over
+        $.on(this.$svg, 'pointerleave', () => {
+            if (drag && !drag.started) drag = null;
+        });
+        // a started drag has captured the pointer, so it ends on the chart
+        $.on(this.$svg, 'pointerup pointercancel', () => {
+            if (!drag) return;
+            const { $draft, $lasso, box, start, end, row, add } = drag;
+            drag = null;
+            if ($draft) {
+                $draft.remove();
+                this.create_drawn_task(start, end, row);
+            }
+            if (!$lasso) return;
+            $lasso.remove();
+            const ids = this.bars
+                .filter(({ $bar }) => {
+                    return (
+                        $bar.getX() < box.x + box.width &&
+                        $bar.getEndX() > box.x &&
+                        $bar.getY() < box.y + box.height &&
+                        $bar.getY() + $bar.getHeight() > box.y
+                    );
+                })
+                .map(({ task }) => task.id);
+            this.set_selection(add ? [...this.selected_ids, ...ids] : ids);
+        });
+    }
+
+    // index of the row at a height of the chart, past the tasks too
+    get_row_at(y) {
+        return Math.floor(
+            (y - this.config.header_height) / this.config.row_height,
+        );
+    }
+
+    // tasks are only drawn for charts that handle their creation
+    can_draw_task(row) {
+        const { readonly, readonly_dates, on_task_create } = this.options;
+        return (
+            !!on_task_create &&
+            !readonly &&
+            !readonly_dates &&
+            row >= 0 &&
+            !this.rows[row]?.group
+        );
+    }
+
+    // outline of the task being drawn, snapped like a dragged bar
+    update_draft(drag, x) {
+        const snap_width = this.get_snap_width();
+        const x1 = this.get_snap_position(Math.min(x, drag.x), 0);
+        const x2 = this.get_snap_position(Math.max(x, drag.x), 0) + snap_width;
+        drag.start = this.x_to_date(x1);
+        drag.end = this.x_to_date(x2);
+        if (!drag.$draft) {
+            drag.$draft = createSVG('rect', {
+                y:
+                    this.config.header_height +
+                    this.options.padding / 2 +
+                    drag.row * this.config.row_height,
+                height: this.options.bar_height,
+                rx: this.options.bar_corner_radius,
+                ry: this.options.bar_corner_radius,
+                class: 'bar-draft',
+                append_to: this.layers.bar,
+            });
+        }
+        drag.$draft.setAttribute('x', x1);
+        drag.$draft.setAttribute('width', x2 - x1);
+    }
+
+    update_lasso(drag, x, y) {
+        if (!drag.$lasso) {
+            drag.$lasso = createSVG('rect', {
+                class: 'selection-lasso',
+                append_to: this.$svg,
+            });
+        }
+        drag.box = {
+            x: Math.min(x, drag.x),
+            y: Math.min(y, drag.y),
+            width: Math.abs(x - drag.x),
+            height: Math.abs(y - drag.y),
+        };
+        for (let attr in drag.box) {
+            drag.$lasso.setAttribute(attr, drag.box[attr]);
+        }
+    }
+
+    /**
+     * Add a task drawn on a row, if `on_task_create` accepts it by returning
+     * `true` or an object, which is merged into the new task, e.g. to give
+     * it a name or an id. The task goes right before the task of the row
+     * and under the same parent, so it shows where it was drawn.
+     *
+     * @param {Date} start
+     * @param {Date} end - exclusive end of the task
+     * @param {number} row - index of the row it was drawn on
+     * @returns {Object|null} the new task, null when it was refused
+     */
+    create_drawn_task(start, end, row) {
+        const result = this.trigger_event('task_create', [start, end, row]);
+        if (result !== true && (!result || typeof result !== 'object'))
+            return null;
+        const next = this.rows[row]?.[0];
+        const task = {
+            name: 'New task',
+            start,
+            end: exclude_last_day(start, end),
+            ...(next?._parent && { parent: next._parent.id }),
+            ...result,
+        };
+        this.add_task(task);
+        // added tasks go last, unless the rows are sorted
+        if (next && !this.options.sort_by && this.get_task(task.id) === task) {
+            const tasks = this.tasks.filter((t) => t !== task);
+            tasks.splice(tasks.indexOf(next), 0, task);
+            this.batch(() => (this.tasks = tasks));
+        }
+        return task;
+    }
+
+    /**
+     * The tasks selected by clicking their bars, with Shift or Ctrl to
+     * select several, or with the lasso.
+     *
+     * @returns {Array<Object>}
+     * @memberof Gantt
+     */
+    get_selected() {
+        return this.tasks.filter((task) => this.selected_ids.has(task.id));
+    }
+
+    // replaces the selection, firing selection_change if it changed
+    set_selection(ids) {
+        ids = new Set(ids);
+        if (
+            ids.size === this.selected_ids.size &&
+            [...ids].every((id) => this.selected_ids.has(id))
+        )
+            return;
+        this.selected_ids = ids;
+        for (let bar of this.bars) {
+            bar.group.classList.toggle('selected', ids.has(bar.task.id));
+        }
+        this.trigger_event('selection_change', [this.get_selected()]);
+    }
+
+    bind_arrow_events() {
+        const get_arrow = (element) =>
+            this.arrows.find((arrow) => arrow.element === element);
+
+        $.on(this.$svg, 'click', '.arrow-wrapper', (e, element) => {
+            const arrow = get_arrow(element);
+            if (!arrow) return;
+            this.select_arrow(arrow);
+            this.trigger_event('dependency_click', [
+                arrow.from_task.task,
+                arrow.to_task.task,
+                arrow.type,
+            ]);
+        });
+    }
+
+    select_arrow(arrow) {
+        this.unselect_all();
+        this.selected_arrow = arrow;
+        arrow.element.classList.add('selected');
+    }
+
+    // removes the link of an arrow on behalf of the user
+    remove_arrow(arrow) {
+        if (this.options.readonly) return;
+        const from = arrow.from_task.task;
+        const to = arrow.to_task.task;
+        if (
+            this.trigger_event('dependency_remove', [from, to, arrow.type]) ===
+            false
+        )
+            return;
+        this.unselect_all();
+        this.remove_dependency(from.id, to.id);
+    }
+
+    bind_context_menu() {
+        $.on(this.$container, 'contextmenu', (e) => {
+            const context = this.get_menu_context(e);
+            if (context) this.show_context_menu(e, context);
+        });
+    }
+
+    /**
+     * What a right click was on, handed to the `context_menu` option. The
+     * `target` is one of
+     * - `bar`, with its `task`
+     * - `arrow`, with `from_task`, `to_task` and the `type` of the link
+     * - `date`, a date of the header, with its `date`
+     * - `row`, the empty space of a row, with the `row` index and `date`
+     *
+     * @returns {Object|null} null where there is no menu
+     */
+    get_menu_context(e) {
+        const { x, y } = this.get_pointer_position(e);
+        const date = this.dates[Math.floor(x / this.config.column_width)];
+
+        const $bar = e.target.closest('.bar-wrapper');
+        if ($bar) {
+            const task = this.get_task($bar.getAttribute('data-id'));
+            return { target: 'bar', task };
+        }
+        const $arrow = e.target.closest('.arrow-wrapper');
+        if ($arrow) {
+            const arrow = this.arrows.find(({ element }) => element === $arrow);
+            if (!arrow) return null;
+            return {
+                target: 'arrow',
+                arrow,
+                from_task: arrow.from_task.task,
+                to_task: arrow.to_task.task,
+                type: arrow.type,
+            };
+        }
+        if (e.target.closest('.side-header')) return null;
+        if (e.target.closest('.grid-header')) return { target: 'date', date };
+        if (e.target.closest('.grid-row, .group-row')) {
+            return { target: 'row', row: this.get_row_at(y), date };
+        }
+        return null;
+    }
+
+    // shows the menu built by the context_menu option, in place of the
+    // browser's own unless it has no items
+    show_context_menu(e, context) {
+        if (!this.options.context_menu) return;
+        if (!this.context_menu) this.context_menu = new ContextMenu(this);
+        const { left, top } = this.$container.getBoundingClientRect();
+        const shown = this.context_menu.show({
+            x: e.clientX - left + this.$container.scrollLeft,
+            y: e.clientY - top + this.$container.scrollTop,
+            context,
+        });
+        if (!shown) return;
+        e.preventDefault();
+        this.hide_popup();
+        if (context.arrow) this.select_arrow(context.arrow);
     }
 
     bind_holiday_labels() {
@@ -1078,7 +2422,14 @@ export default class Gantt {
         let is_resizing_left = false;
         let is_resizing_right = false;
         let parent_bar_id = null;
+        let segment_index = null;
         let bars = []; // instanceof Bar
+        let hidden_tasks = [];
+        let start_on_drag = null;
+        let snapshot = null;
+        // a bar dragged up or down moves its row instead, see get_row_drop
+        let can_reorder = false;
+        let row_drop = null;
         this.bar_being_dragged = null;
 
         const action_in_progress = () =>
@@ -1088,17 +2439,13 @@ export default class Gantt {
             if (e.target.classList.contains('grid-row')) this.unselect_all();
         };
 
-        let pos = 0;
-        $.on(this.$svg, 'mousemove', '.bar-wrapper, .handle', (e) => {
-            if (
-                this.bar_being_dragged === false &&
-                Math.abs((e.offsetX || e.layerX) - pos) > 10
-            )
-                this.bar_being_dragged = true;
-        });
-
-        $.on(this.$svg, 'mousedown', '.bar-wrapper, .handle', (e, element) => {
+        this.bind_press('.bar-wrapper, .handle', (e, element) => {
+            // connectors link bars instead, see bind_dependency_drag
+            if (e.target.classList.contains('connector')) return;
             const bar_wrapper = $.closest('.bar-wrapper', element);
+            // summary bars follow their children, they can't be moved
+            if (bar_wrapper.classList.contains('summary')) return;
+            segment_index = null;
             if (element.classList.contains('left')) {
                 is_resizing_left = true;
                 element.classList.add('visible');
@@ -1107,27 +2454,32 @@ export default class Gantt {
                 element.classList.add('visible');
             } else if (element.classList.contains('bar-wrapper')) {
                 is_dragging = true;
+                // a segment of a split task is dragged on its own
+                if (e.target.classList.contains('bar-segment'))
+                    segment_index = +e.target.getAttribute('data-index');
             }
 
             if (this.popup) this.popup.hide();
 
-            x_on_start = e.offsetX || e.layerX;
-            y_on_start = e.offsetY || e.layerY;
+            ({ x: x_on_start, y: y_on_start } = this.get_pointer_position(e));
 
             parent_bar_id = bar_wrapper.getAttribute('data-id');
-            let ids;
-            if (this.options.move_dependencies) {
-                ids = [
-                    parent_bar_id,
-                    ...this.get_all_dependent_tasks(parent_bar_id),
-                ];
-            } else {
-                ids = [parent_bar_id];
-            }
-            bars = ids.map((id) => this.get_bar(id));
+            ({ bars, hidden_tasks } = this.get_moving_bars(
+                is_dragging && segment_index === null
+                    ? this.get_dragged_ids(parent_bar_id)
+                    : [parent_bar_id],
+                segment_index === null,
+            ));
+            start_on_drag = this.get_task(parent_bar_id)._start;
+            snapshot = this.snapshot_tasks();
+            can_reorder =
+                is_dragging &&
+                segment_index === null &&
+                this.can_reorder_rows() &&
+                this.get_dragged_ids(parent_bar_id).length === 1;
+            row_drop = null;
 
             this.bar_being_dragged = false;
-            pos = x_on_start;
 
             bars.forEach((bar) => {
                 const $bar = bar.$bar;
@@ -1135,6 +2487,9 @@ export default class Gantt {
                 $bar.oy = $bar.getY();
                 $bar.owidth = $bar.getWidth();
                 $bar.finaldx = 0;
+                for (let $segment of bar.$segments || []) {
+                    $segment.ox = $segment.getX();
+                }
             });
         });
 
@@ -1182,6 +2537,7 @@ export default class Gantt {
         }
 
         $.on(this.$container, 'scroll', (e) => {
+            if (this.task_grid) this.task_grid.sync_scroll();
             let localBars = [];
             const ids = this.bars.map(({ group }) =>
                 group.getAttribute('data-id'),
@@ -1275,9 +2631,36 @@ export default class Gantt {
             }
         });
 
-        $.on(this.$svg, 'mousemove', (e) => {
+        $.on(this.$svg, 'pointermove', (e) => {
             if (!action_in_progress()) return;
-            const dx = (e.offsetX || e.layerX) - x_on_start;
+            // the bar keeps following the pointer once it leaves the chart
+            this.capture_pointer(e.pointerId);
+            const { x, y } = this.get_pointer_position(e);
+            const dx = x - x_on_start;
+            const dy = y - y_on_start;
+            if (this.bar_being_dragged === false && Math.abs(dx) > 10)
+                this.bar_being_dragged = true;
+
+            // moving up or down by half a row turns the drag into a reorder
+            if (
+                can_reorder &&
+                !row_drop &&
+                Math.abs(dy) > this.config.row_height / 2 &&
+                Math.abs(dy) > Math.abs(dx)
+            ) {
+                // the bars go back to their dates while the row moves
+                for (let bar of bars) {
+                    bar.$bar.finaldx = 0;
+                    bar.update_bar_position({ x: bar.$bar.ox });
+                }
+                this.bar_being_dragged = true;
+                row_drop = {};
+            }
+            if (row_drop) {
+                row_drop = this.get_row_drop(this.get_task(parent_bar_id), y);
+                this.show_row_drop(row_drop);
+                return;
+            }
 
             bars.forEach((bar) => {
                 const $bar = bar.$bar;
@@ -1305,12 +2688,22 @@ export default class Gantt {
                     !this.options.readonly &&
                     !this.options.readonly_dates
                 ) {
-                    bar.update_bar_position({ x: $bar.ox + $bar.finaldx });
+                    if (segment_index !== null) {
+                        const $segment = bar.$segments[segment_index];
+                        $bar.finaldx = this.get_snap_position(dx, $segment.ox);
+                        bar.move_segment(
+                            segment_index,
+                            $segment.ox + $bar.finaldx,
+                        );
+                    } else {
+                        bar.update_bar_position({ x: $bar.ox + $bar.finaldx });
+                    }
                 }
             });
         });
 
-        document.addEventListener('mouseup', () => {
+        // a moving bar has captured the pointer, so it's released on the chart
+        $.on(this.$svg, 'pointerup pointercancel', () => {
             is_dragging = false;
             is_resizing_left = false;
             is_resizing_right = false;
@@ -1319,18 +2712,411 @@ export default class Gantt {
                 ?.classList?.remove?.('visible');
         });
 
-        $.on(this.$svg, 'mouseup', (e) => {
+        $.on(this.$svg, 'pointerup pointercancel', () => {
             this.bar_being_dragged = null;
-            bars.forEach((bar) => {
-                const $bar = bar.$bar;
-                if (!$bar.finaldx) return;
-                bar.date_changed();
-                bar.compute_progress();
-                bar.set_action_completed();
-            });
+            this.finish_bar_moves(
+                bars,
+                this.get_task(parent_bar_id),
+                start_on_drag,
+                hidden_tasks,
+                snapshot,
+            );
+            hidden_tasks = [];
+            if (!row_drop) return;
+            this.show_row_drop(null);
+            this.reorder_row(this.get_task(parent_bar_id), row_drop.slot);
+            row_drop = null;
         });
 
         this.bind_bar_progress();
+        this.bind_dependency_drag();
+        this.bind_pinch_zoom();
+    }
+
+    /**
+     * Call `callback` when a pointer is pressed on an element matching
+     * `selector` within `$parent`. Touches have to be held still for a
+     * moment first, so that swiping over the bars still scrolls the chart.
+     */
+    bind_press(selector, callback, $parent = this.$svg) {
+        $.on($parent, 'pointerdown', selector, (e, element) => {
+            if (e.button > 0) return;
+            if (e.pointerType !== 'touch') return callback(e, element);
+
+            const stop = () => {
+                clearTimeout(timeout);
+                for (let type of ['pointermove', 'pointerup', 'pointercancel'])
+                    document.removeEventListener(type, cancel);
+            };
+            const cancel = (event) => {
+                if (event.pointerId !== e.pointerId) return;
+                const distance = Math.hypot(
+                    event.clientX - e.clientX,
+                    event.clientY - e.clientY,
+                );
+                if (event.type !== 'pointermove' || distance > 10) stop();
+            };
+            const timeout = setTimeout(() => {
+                stop();
+                this.capture_pointer(e.pointerId, $parent);
+                callback(e, element);
+            }, 500);
+            for (let type of ['pointermove', 'pointerup', 'pointercancel'])
+                document.addEventListener(type, cancel);
+        });
+    }
+
+    /**
+     * Send the events of a pointer to an element of the chart until it's
+     * released, and keep touches from scrolling the page meanwhile.
+     */
+    capture_pointer(pointer_id, $element = this.$svg) {
+        if ($element.hasPointerCapture(pointer_id)) return;
+        $element.setPointerCapture(pointer_id);
+        this.pointer_captured = true;
+        $element.addEventListener(
+            'lostpointercapture',
+            () => (this.pointer_captured = false),
+            { once: true },
+        );
+    }
+
+    // position of a pointer event within the chart
+    get_pointer_position(e) {
+        const { left, top } = this.$svg.getBoundingClientRect();
+        return { x: e.clientX - left, y: e.clientY - top };
+    }
+
+    bind_pinch_zoom() {
+        // touch-action can't be changed once a touch started, this can
+        this.$container.addEventListener(
+            'touchmove',
+            (e) => {
+                if (this.pointer_captured || e.touches.length > 1)
+                    e.preventDefault();
+            },
+            { passive: false },
+        );
+
+        const touches = new Map();
+        let distance = 0;
+        const get_distance = () => {
+            const [a, b] = [...touches.values()];
+            return Math.hypot(a.x - b.x, a.y - b.y);
+        };
+        $.on(this.$container, 'pointerdown', (e) => {
+            if (e.pointerType !== 'touch') return;
+            touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (touches.size === 2) distance = get_distance();
+        });
+        $.on(this.$container, 'pointermove', (e) => {
+            if (!touches.has(e.pointerId)) return;
+            touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (touches.size !== 2) return;
+            // spreading the fingers apart shows a finer view mode
+            const scale = get_distance() / distance;
+            if (scale > 1.5) this.zoom(-1);
+            else if (scale < 1 / 1.5) this.zoom(1);
+            else return;
+            distance = get_distance();
+        });
+        $.on(this.$container, 'pointerup pointercancel', (e) =>
+            touches.delete(e.pointerId),
+        );
+    }
+
+    // rows keep the order of the tasks, unless sort_by sets it
+    can_reorder_rows() {
+        return !this.options.readonly && !this.options.sort_by;
+    }
+
+    /**
+     * The rows of a task and of its siblings within the same group, as
+     * blocks that span the rows of their subtasks too.
+     *
+     * @returns {Array<{task: Object, start: number, end: number}>}
+     */
+    get_sibling_rows(task) {
+        const get_group = (index) =>
+            this.groups.filter((group) => group._index < index).at(-1);
+        const leader = this.rows[task._index][0];
+        const group = get_group(task._index);
+        const blocks = [];
+        this.rows.forEach((row, index) => {
+            if (!row.length || row[0]._parent !== leader._parent) return;
+            if (get_group(index) !== group) return;
+            let end = index + 1;
+            while (
+                this.rows[end]?.length &&
+                is_within(this.rows[end][0], row[0])
+            )
+                end++;
+            blocks.push({ task: row[0], start: index, end });
+        });
+        return blocks;
+    }
+
+    /**
+     * Where the row of a task dragged to `y` would go. Rows only move
+     * among the rows of their siblings and take their subtasks along.
+     *
+     * @returns {{slot: number, y: number}} the position among the sibling
+     *  rows, and the height of the gap it stands for
+     */
+    get_row_drop(task, y) {
+        const { header_height, row_height } = this.config;
+        const blocks = this.get_sibling_rows(task);
+        const row = (y - header_height) / row_height;
+        const slot = blocks.filter(
+            ({ start, end }) => (start + end) / 2 < row,
+        ).length;
+        const gap =
+            slot < blocks.length ? blocks[slot].start : blocks.at(-1).end;
+        return { slot, y: header_height + gap * row_height };
+    }
+
+    // line across the chart where a dragged row would go, none for null
+    show_row_drop(drop) {
+        this.$row_drop?.remove();
+        this.$row_drop =
+            drop &&
+            createSVG('line', {
+                x1: 0,
+                y1: drop.y,
+                x2: this.dates.length * this.config.column_width,
+                y2: drop.y,
+                class: 'row-drop-indicator',
+                append_to: this.$svg,
+            });
+    }
+
+    /**
+     * Move the row of a task to `slot` among the rows of its siblings, see
+     * `get_row_drop`. The tasks are reordered, so the rows keep their new
+     * order when they are set up again.
+     */
+    reorder_row(task, slot) {
+        const blocks = this.get_sibling_rows(task);
+        const from = blocks.findIndex(({ start }) => start === task._index);
+        if (slot === from || slot === from + 1) return;
+
+        const moving = this.rows[task._index];
+        const tasks = this.tasks.filter((t) => !moving.includes(t));
+        const at =
+            slot < blocks.length
+                ? tasks.indexOf(blocks[slot].task)
+                : tasks.indexOf(blocks.at(-1).task) + 1;
+        tasks.splice(at, 0, ...moving);
+        this.batch(() => (this.tasks = tasks));
+        this.trigger_event('row_reorder', [task, this.tasks]);
+    }
+
+    // moving a selected task moves the whole selection
+    get_dragged_ids(id) {
+        return this.selected_ids.has(id) ? [...this.selected_ids] : [id];
+    }
+
+    /**
+     * The bars that move along with some tasks: their own and, with the
+     * `move_dependencies` option, those of the tasks depending on them.
+     * Dependents hidden by a filter have no bar, they are returned in
+     * `hidden_tasks` to follow once the move is over.
+     */
+    get_moving_bars(ids, with_dependents = true) {
+        // auto scheduling moves the dependents once the move is over
+        if (
+            with_dependents &&
+            this.options.move_dependencies &&
+            !this.options.auto_schedule
+        ) {
+            ids = [
+                ...new Set([
+                    ...ids,
+                    ...ids.flatMap((id) => this.get_all_dependent_tasks(id)),
+                ]),
+            ];
+        }
+        // summary tasks follow their children instead
+        const tasks = ids
+            .map((id) => this.get_task(id))
+            .filter((task) => task && !task._children.length);
+        return {
+            bars: tasks.map((task) => this.get_bar(task.id)).filter(Boolean),
+            hidden_tasks: tasks.filter((task) => !this.get_bar(task.id)),
+        };
+    }
+
+    // apply the bars moved by `finaldx` to their tasks, once a move is over
+    finish_bar_moves(bars, task, start_before, hidden_tasks, snapshot) {
+        let moved = false;
+        bars.forEach((bar) => {
+            const $bar = bar.$bar;
+            if (!$bar.finaldx) return;
+            $bar.finaldx = 0;
+            moved = true;
+            bar.date_changed();
+            bar.compute_progress();
+            bar.set_action_completed();
+            this.update_summary_tasks(bar.task);
+        });
+        if (!moved) return;
+
+        const offset = task._start - start_before;
+        for (let hidden of offset ? hidden_tasks : []) {
+            move_task(
+                hidden,
+                new Date(+hidden._start + offset),
+                new Date(+hidden._end + offset),
+            );
+            this.trigger_event('date_change', [
+                hidden,
+                hidden._start,
+                date_utils.add(hidden._end, -1, 'second'),
+            ]);
+            this.update_summary_tasks(hidden);
+        }
+        this.refresh_bars(this.reschedule());
+        this.update_overlays();
+        this.record_changes(snapshot);
+    }
+
+    /**
+     * Move a task by one snap unit, or resize it with `resize`, the way
+     * dragging its bar would.
+     *
+     * @param {Bar} bar
+     * @param {number} direction - 1 for later, -1 for earlier
+     * @param {boolean} resize - change the end instead of moving the task
+     */
+    nudge_bar(bar, direction, resize) {
+        const { readonly, readonly_dates } = this.options;
+        if (readonly || readonly_dates || bar.is_summary()) return;
+        if (resize && (bar.is_milestone() || bar.is_segmented())) return;
+
+        const $bar = bar.$bar;
+        const task = bar.task;
+        const start_before = task._start;
+        const snapshot = this.snapshot_tasks();
+        const ox = resize ? $bar.getEndX() : $bar.getX();
+        const dx = this.get_snap_position(
+            direction * this.get_snap_width(),
+            ox,
+        );
+
+        let bars = [bar];
+        let hidden_tasks = [];
+        if (resize) {
+            $bar.finaldx = dx;
+            bar.update_bar_position({ width: $bar.getWidth() + dx });
+        } else {
+            ({ bars, hidden_tasks } = this.get_moving_bars(
+                this.get_dragged_ids(task.id),
+            ));
+            for (let moving of bars) {
+                moving.$bar.finaldx = dx;
+                moving.update_bar_position({ x: moving.$bar.getX() + dx });
+            }
+        }
+        this.finish_bar_moves(bars, task, start_before, hidden_tasks, snapshot);
+    }
+
+    /**
+     * Move a task to new dates the way dragging its bar there would, so its
+     * dependents follow with `move_dependencies` and the move is recorded.
+     *
+     * @param {Bar} bar
+     * @param {Date} start
+     * @param {Date} end - exclusive end of the task
+     * @returns {boolean} false if the dependencies or constraints of the task
+     *  don't allow the move
+     */
+    move_bar_to(bar, start, end) {
+        const $bar = bar.$bar;
+        const task = bar.task;
+        const start_before = task._start;
+        const snapshot = this.snapshot_tasks();
+        const x = $bar.getX();
+        const end_x = $bar.getEndX();
+        if (!bar.set_dates(start, end)) return false;
+
+        // like a resize, a new end alone leaves the dependents where they are
+        const dx = $bar.getX() - x;
+        const { bars, hidden_tasks } = this.get_moving_bars([task.id], !!dx);
+        for (let moving of bars) {
+            if (moving === bar) continue;
+            moving.$bar.finaldx = dx;
+            moving.update_bar_position({ x: moving.$bar.getX() + dx });
+        }
+        $bar.finaldx = dx || $bar.getEndX() - end_x;
+        this.finish_bar_moves(bars, task, start_before, hidden_tasks, snapshot);
+        // the dates may have left the chart's
+        this.batch(() => {
+            for (let moving of bars)
+                this.pending_changes.updated.add(moving.task);
+        });
+        return true;
+    }
+
+    bind_dependency_drag() {
+        let from = null;
+        let $preview = null;
+        const end_drag = () => {
+            $preview?.remove();
+            $preview = null;
+            from = null;
+            this.$svg.classList.remove('linking');
+        };
+
+        this.bind_press('.connector', (e, connector) => {
+            const id = $.closest('.bar-wrapper', connector).getAttribute(
+                'data-id',
+            );
+            from = {
+                task: this.get_task(id),
+                side: connector.classList.contains('start') ? 'S' : 'F',
+                x: +connector.getAttribute('cx'),
+                y: +connector.getAttribute('cy'),
+            };
+            this.hide_popup();
+            this.capture_pointer(e.pointerId);
+            this.$svg.classList.add('linking');
+            $preview = createSVG('path', {
+                d: `M ${from.x} ${from.y}`,
+                class: 'dependency-preview',
+                append_to: this.layers.arrow,
+            });
+        });
+
+        $.on(this.$svg, 'pointermove', (e) => {
+            if (!from) return;
+            const { x, y } = this.get_pointer_position(e);
+            $preview.setAttribute('d', `M ${from.x} ${from.y} L ${x} ${y}`);
+        });
+
+        $.on(this.$svg, 'pointerup', (e) => {
+            if (!from) return;
+            const { task, side } = from;
+            end_drag();
+            // the bar shows its popup on pointerup, the drag wasn't a click
+            this.hide_popup();
+            // the captured pointer's events all target the chart itself
+            const $drop = document.elementFromPoint(e.clientX, e.clientY);
+            const $target = $drop?.closest('.bar-wrapper');
+            if (!$target) return;
+            const to = this.get_task($target.getAttribute('data-id'));
+            // the connectors picked at both ends give the type of the link
+            const to_side = $drop.classList.contains('end') ? 'F' : 'S';
+            const type = side + to_side;
+            if (!this.can_link(task, to)) return;
+            if (
+                this.trigger_event('dependency_add', [task, to, type]) === false
+            )
+                return;
+            this.add_dependency(task.id, to.id, type);
+        });
+
+        // the pointer is captured, drops outside of the chart end here too
+        $.on(this.$svg, 'pointercancel', () => from && end_drag());
     }
 
     bind_bar_progress() {
@@ -1339,11 +3125,12 @@ export default class Gantt {
         let bar = null;
         let $bar_progress = null;
         let $bar = null;
+        let snapshot = null;
 
-        $.on(this.$svg, 'mousedown', '.handle.progress', (e, handle) => {
+        this.bind_press('.handle.progress', (e, handle) => {
             is_resizing = true;
-            x_on_start = e.offsetX || e.layerX;
-            y_on_start = e.offsetY || e.layerY;
+            snapshot = this.snapshot_tasks();
+            x_on_start = this.get_pointer_position(e).x;
 
             const $bar_wrapper = $.closest('.bar-wrapper', handle);
             const id = $bar_wrapper.getAttribute('data-id');
@@ -1363,9 +3150,10 @@ export default class Gantt {
             d + this.config.column_width,
         ]);
 
-        $.on(this.$svg, 'mousemove', (e) => {
+        $.on(this.$svg, 'pointermove', (e) => {
             if (!is_resizing) return;
-            let now_x = e.offsetX || e.layerX;
+            this.capture_pointer(e.pointerId);
+            let now_x = this.get_pointer_position(e).x;
 
             let moving_right = now_x > x_on_start;
             if (moving_right) {
@@ -1404,13 +3192,16 @@ export default class Gantt {
             $bar_progress.finaldx = dx;
         });
 
-        $.on(this.$svg, 'mouseup', () => {
+        $.on(this.$svg, 'pointerup pointercancel', () => {
             is_resizing = false;
             if (!($bar_progress && $bar_progress.finaldx)) return;
 
             $bar_progress.finaldx = 0;
             bar.progress_changed();
             bar.set_action_completed();
+            this.update_summary_tasks(bar.task);
+            this.update_overlays();
+            this.record_changes(snapshot);
             bar = null;
             $bar_progress = null;
             $bar = null;
@@ -1418,22 +3209,24 @@ export default class Gantt {
     }
 
     get_all_dependent_tasks(task_id) {
-        let out = [];
+        // visit every task once, dependency cycles would never end otherwise
+        const out = new Set();
         let to_process = [task_id];
         while (to_process.length) {
-            const deps = to_process.reduce((acc, curr) => {
-                acc = acc.concat(this.dependency_map[curr]);
-                return acc;
-            }, []);
+            const deps = to_process
+                .flatMap((id) => this.dependency_map[id] || [])
+                .map((link) => link.to)
+                .filter((id) => id && id !== task_id && !out.has(id));
 
-            out = out.concat(deps);
-            to_process = deps.filter((d) => !to_process.includes(d));
+            deps.forEach((id) => out.add(id));
+            to_process = deps;
         }
 
-        return out.filter(Boolean);
+        return [...out];
     }
 
-    get_snap_position(dx, ox) {
+    // width of one snap unit in pixels
+    get_snap_width() {
         let unit_length = 1;
         const default_snap =
             this.options.snap_at || this.config.view_mode.snap_at || '1d';
@@ -1444,15 +3237,14 @@ export default class Gantt {
                 date_utils.convert_scales(this.config.view_mode.step, scale) /
                 duration;
         }
+        return this.config.column_width / unit_length;
+    }
 
-        const rem = dx % (this.config.column_width / unit_length);
+    get_snap_position(dx, ox) {
+        const snap_width = this.get_snap_width();
+        const rem = dx % snap_width;
 
-        let final_dx =
-            dx -
-            rem +
-            (rem < (this.config.column_width / unit_length) * 2
-                ? 0
-                : this.config.column_width / unit_length);
+        let final_dx = dx - rem + (rem < snap_width * 2 ? 0 : snap_width);
         let final_pos = ox + final_dx;
 
         const drn = final_dx > 0 ? 1 : -1;
@@ -1480,6 +3272,9 @@ export default class Gantt {
 
     unselect_all() {
         if (this.popup) this.popup.parent.classList.add('hide');
+        this.selected_arrow?.element.classList.remove('selected');
+        this.selected_arrow = null;
+        this.set_selection([]);
         this.$container
             .querySelectorAll('.date-range-highlight')
             .forEach((k) => k.classList.add('hide'));
@@ -1525,9 +3320,10 @@ export default class Gantt {
         this.popup && this.popup.hide();
     }
 
+    // returns what the handler returned, so events can be canceled
     trigger_event(event, args) {
         if (this.options['on_' + event]) {
-            this.options['on_' + event].apply(this, args);
+            return this.options['on_' + event].apply(this, args);
         }
     }
 
@@ -1557,6 +3353,7 @@ export default class Gantt {
         this.$side_header?.remove?.();
         this.$current_highlight?.remove?.();
         this.$extras?.remove?.();
+        this.task_grid?.remove?.();
         this.popup?.hide?.();
     }
 }
@@ -1571,10 +3368,105 @@ Gantt.VIEW_MODE = {
     YEAR: DEFAULT_VIEW_MODES[6],
 };
 
+// split tasks keep the gaps between their segments
+function move_task(task, start, end) {
+    const offset = start - task._start;
+    for (let segment of task._segments || []) {
+        segment._start = new Date(+segment._start + offset);
+        segment._end = new Date(+segment._end + offset);
+    }
+    task._start = start;
+    task._end = end;
+    store_dates(task);
+}
+
+// write the parsed dates back to the given ones, so that parsing the task
+// again keeps them
+function store_dates(task) {
+    if (task._segments) {
+        task.segments = task._segments.map(({ _start, _end }) => ({
+            start: _start,
+            end: exclude_last_day(_start, _end),
+        }));
+        return;
+    }
+    task.start = task._start;
+    // milestones only have a start
+    if (+task._end !== +task._start) {
+        task.end = exclude_last_day(task._start, task._end);
+    }
+}
+
+function format_links(links) {
+    return links.map(({ from, type, lag }) =>
+        format_dependency({ id: from, type, lag }),
+    );
+}
+
+function get_parent_ids(tasks) {
+    return tasks
+        .filter((task) => task.parent !== undefined && task.parent !== null)
+        .map((task) => normalize_id(task.parent));
+}
+
+// whether a task is in the subtree of another
+function is_within(task, ancestor) {
+    for (let t = task._parent; t; t = t._parent) {
+        if (t === ancestor) return true;
+    }
+    return false;
+}
+
+function get_groups_key(groups) {
+    return groups.map((group) => `${group._index}:${group.key}`).join();
+}
+
+function get_arrow_key({ from_task, to_task, type }) {
+    return `${from_task.task.id} ${to_task.task.id} ${type}`;
+}
+
+function get_state(task) {
+    return {
+        name: task.name,
+        _start: task._start,
+        _end: task._end,
+        _segments: task._segments && task._segments.map((s) => ({ ...s })),
+        progress: task.progress,
+    };
+}
+
+function same_state(a, b) {
+    const times = ({ _start, _end, _segments }) =>
+        [_start, _end, ...(_segments || []).flatMap((s) => [s._start, s._end])]
+            .map(Number)
+            .join();
+    return (
+        times(a) === times(b) && a.progress === b.progress && a.name === b.name
+    );
+}
+
 function generate_id(task) {
     return task.name + '_' + Math.random().toString(36).slice(2, 12);
 }
 
+// if hours is not set, assume the last day is full day
+// e.g: 2018-09-09 becomes 2018-09-09 23:59:59
+function include_last_day(date) {
+    const values = date_utils.get_date_values(date);
+    if (values.slice(3).every((d) => d === 0)) {
+        return date_utils.add(date, 24, 'hour');
+    }
+    return date;
+}
+
+// end date to give a task so that it's parsed back to `end`
+function exclude_last_day(start, end) {
+    if (include_last_day(end) === end) return end;
+    const last_day = date_utils.add(end, -1, 'day');
+    // a task shorter than a day can't end on midnight otherwise
+    return last_day < start ? new Date(+end - 1) : last_day;
+}
+
 function sanitize(s) {
     return s.replaceAll(' ', '_').replaceAll(':', '_').replaceAll('.', '_');
 }
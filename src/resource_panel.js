@@ -0,0 +1,167 @@
+import date_utils from './date_utils';
+import { createSVG } from './svg_utils';
+
+export default class ResourcePanel {
+    constructor(gantt) {
+        this.gantt = gantt;
+        this.setup_resources();
+    }
+
+    setup_resources() {
+        const { options, tasks } = this.gantt;
+        const resources = (options.resources || []).map((resource) =>
+            typeof resource === 'object' ? { ...resource } : { id: resource },
+        );
+        // resources only found on tasks are added with the default capacity
+        for (let task of tasks) {
+            for (let { id } of get_task_resources(task)) {
+                if (!resources.find((r) => r.id === id)) resources.push({ id });
+            }
+        }
+        this.resources = resources.map((resource) => ({
+            name: resource.id,
+            capacity: 1,
+            ...resource,
+        }));
+
+        this.row_height = this.gantt.options.bar_height;
+        this.height = this.resources.length
+            ? this.resources.length * this.row_height +
+              this.gantt.options.padding
+            : 0;
+    }
+
+    /**
+     * y position of the panel, right below the task rows
+     */
+    get_y() {
+        return (
+            this.gantt.config.header_height +
+            this.gantt.rows.length *
+                (this.gantt.options.bar_height + this.gantt.options.padding) +
+            this.gantt.options.padding / 2
+        );
+    }
+
+    draw() {
+        const layer = this.gantt.layers.resource;
+        layer.innerHTML = '';
+        this.$labels?.forEach?.(($label) => $label.remove());
+        this.$labels = [];
+        if (!this.resources.length) return;
+
+        const { column_width } = this.gantt.config;
+        const dates = this.gantt.dates;
+        const y = this.get_y();
+        const load = compute_resource_load(this.gantt.tasks, (d) =>
+            this.gantt.is_ignored_date(d),
+        );
+
+        createSVG('rect', {
+            x: 0,
+            y,
+            width: dates.length * column_width,
+            height: this.resources.length * this.row_height,
+            class: 'resource-panel',
+            append_to: layer,
+        });
+
+        this.resources.forEach((resource, i) => {
+            const row_y = y + i * this.row_height;
+            createSVG('line', {
+                x1: 0,
+                y1: row_y,
+                x2: dates.length * column_width,
+                y2: row_y,
+                class: 'resource-line',
+                append_to: layer,
+            });
+
+            const days = load[resource.id] || {};
+            dates.forEach((date, column) => {
+                const next =
+                    dates[column + 1] || date_utils.add(date, 1, 'day');
+                const value = get_peak_load(days, date, next);
+                if (!value) return;
+
+                const ratio = value / resource.capacity;
+                const over = ratio > 1 + 1e-9;
+                const height = Math.min(ratio, 1) * (this.row_height - 6);
+                const $cell = createSVG('rect', {
+                    x: column * column_width + 2,
+                    y: row_y + this.row_height - 3 - height,
+                    width: column_width - 4,
+                    height,
+                    class: 'resource-load' + (over ? ' over-allocated' : ''),
+                    'data-resource': resource.id,
+                    append_to: layer,
+                });
+                createSVG('title', {
+                    innerHTML: `${resource.name}: ${Math.round(ratio * 100)}%`,
+                    append_to: $cell,
+                });
+            });
+
+            // names stick to the left edge while scrolling
+            const $label = this.gantt.create_el({
+                top: row_y - this.gantt.config.header_height,
+                left: 0,
+                classes: 'resource-label',
+                append_to: this.gantt.$extras,
+            });
+            $label.textContent = resource.name;
+            this.$labels.push($label);
+        });
+    }
+}
+
+/**
+ * Sum the units every resource is booked for on each day. Ignored dates and
+ * summary tasks are skipped.
+ *
+ * @param {Array} tasks - parsed tasks, as found in `gantt.tasks`
+ * @param {Function} is_ignored - tells whether a date (at midnight) is ignored
+ * @returns {Object} for every resource id, the load keyed by the time of each day
+ */
+export function compute_resource_load(tasks, is_ignored = () => false) {
+    const load = {};
+    for (let task of tasks) {
+        if (task._children && task._children.length) continue;
+        const resources = get_task_resources(task);
+        if (!resources.length) continue;
+
+        for (
+            let d = date_utils.start_of(task._start, 'day');
+            d < task._end;
+            d = date_utils.add(d, 1, 'day')
+        ) {
+            if (is_ignored(d)) continue;
+            for (let { id, units } of resources) {
+                load[id] = load[id] || {};
+                load[id][d.getTime()] = (load[id][d.getTime()] || 0) + units;
+            }
+        }
+    }
+    return load;
+}
+
+function get_task_resources(task) {
+    return (task.resources || []).map((resource) =>
+        typeof resource === 'object'
+            ? { id: resource.id, units: resource.units ?? 1 }
+            : { id: resource, units: 1 },
+    );
+}
+
+// highest daily load within a column of the grid
+function get_peak_load(days, start, end) {
+    let peak = 0;
+    for (
+        let d = date_utils.start_of(start, 'day');
+        d < end;
+        d = date_utils.add(d, 1, 'day')
+    ) {
+        peak = Math.max(peak, days[d.getTime()] || 0);
+    }
+    return peak;
+}
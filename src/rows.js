@@ -0,0 +1,59 @@
+/**
+ * Turn the `sort_by` option into a comparator for tasks.
+ *
+ * A field name sorts by that field of the task, `start` and `end` sort by
+ * the parsed dates and a leading `-` reverses the order. Tasks without a
+ * value always come last. Functions are used as they are.
+ *
+ * @param {string|Function|null} sort_by
+ * @returns {Function|null} null when the input order should be kept
+ */
+export function get_comparator(sort_by) {
+    if (!sort_by) return null;
+    if (typeof sort_by === 'function') return sort_by;
+
+    const descending = sort_by.startsWith('-');
+    const field = descending ? sort_by.slice(1) : sort_by;
+    const key = { start: '_start', end: '_end' }[field] || field;
+    return (a, b) => {
+        const a_empty = is_empty(a[key]);
+        const b_empty = is_empty(b[key]);
+        if (a_empty || b_empty) return a_empty - b_empty;
+        const order = compare(a[key], b[key]);
+        return descending ? -order : order;
+    };
+}
+
+/**
+ * Split tasks into groups by the `group_by` option, keeping their order.
+ * Groups come in the order their first task appears.
+ *
+ * @param {Array} tasks
+ * @param {string|Function} group_by - name of a task field, or a function
+ *  returning the group of a task
+ * @returns {Array<{key: string, tasks: Array}>}
+ */
+export function group_tasks(tasks, group_by) {
+    const groups = [];
+    const by_key = {};
+    for (let task of tasks) {
+        const value =
+            typeof group_by === 'function' ? group_by(task) : task[group_by];
+        const key = is_empty(value) ? '' : `${value}`;
+        if (!by_key[key]) {
+            by_key[key] = { key, tasks: [] };
+            groups.push(by_key[key]);
+        }
+        by_key[key].tasks.push(task);
+    }
+    return groups;
+}
+
+function is_empty(value) {
+    return value === undefined || value === null || value === '';
+}
+
+function compare(a, b) {
+    if (a instanceof Date || typeof a === 'number') return a - b;
+    return `${a}`.localeCompare(`${b}`, undefined, { numeric: true });
+}
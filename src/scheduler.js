@@ -0,0 +1,229 @@
+import date_utils from './date_utils';
+
+/**
+ * Run the forward and backward passes of the critical path method over the
+ * dependency graph.
+ *
+ * Tasks keep their own start unless a predecessor link pushes them later,
+ * so gaps planned into the schedule are respected. Tasks that are part of a
+ * dependency cycle are left out of the result, and so are summary tasks,
+ * whose dates only follow their children.
+ *
+ * @param {Array} tasks - parsed tasks, as found in `gantt.tasks`
+ * @param {Object} dependency_map - links by predecessor id, as found in `gantt.dependency_map`
+ * @returns {Object} for every task id: `early_start`, `early_finish`,
+ *  `late_start`, `late_finish`, `total_float` (in days) and `critical`
+ */
+export function compute_critical_path(tasks, dependency_map) {
+    tasks = tasks.filter((task) => !task._children?.length);
+    const order = topological_order(tasks, dependency_map);
+    const info = {};
+
+    // forward pass
+    let project_finish = null;
+    for (let task of order) {
+        const duration = task._end - task._start;
+        let early_start = task._start;
+        for (let link of task._dependencies) {
+            const from = info[link.from];
+            if (!from) continue;
+            const start = get_start_bound(link, from, duration);
+            if (start > early_start) early_start = start;
+        }
+        const early_finish = new Date(+early_start + duration);
+        info[task.id] = { early_start, early_finish };
+        if (!project_finish || early_finish > project_finish)
+            project_finish = early_finish;
+    }
+
+    // backward pass
+    for (let task of order.slice().reverse()) {
+        const duration = task._end - task._start;
+        const entry = info[task.id];
+        let late_finish = project_finish;
+        for (let link of dependency_map[task.id] || []) {
+            const to = info[link.to];
+            if (!to || !to.late_start) continue;
+            const finish = get_finish_limit(link, to, duration);
+            if (finish < late_finish) late_finish = finish;
+        }
+        entry.late_finish = late_finish;
+        entry.late_start = new Date(+late_finish - duration);
+        entry.total_float = date_utils.diff(
+            entry.late_start,
+            entry.early_start,
+            'day',
+        );
+        entry.critical = entry.total_float <= 0;
+    }
+    return info;
+}
+
+/**
+ * Push tasks later where their predecessor links require it.
+ *
+ * Tasks only ever move forward, and only as far as their links demand, so
+ * gaps planned between tasks are kept. A moved task keeps its working time:
+ * it won't start on an ignored date and its end is stretched over the
+ * ignored dates it covers. `start_no_earlier_than` constraints push tasks
+ * like links do and tasks that `must_start_on` a date are left in place.
+ * Summary tasks are skipped, their dates come from their children.
+ *
+ * @param {Array} tasks - parsed tasks, as found in `gantt.tasks`
+ * @param {Object} dependency_map - links by predecessor id, as found in `gantt.dependency_map`
+ * @param {Function} is_ignored - tells whether a date (at midnight) is ignored
+ * @returns {Array<{task: Object, start: Date, end: Date}>} the tasks to move
+ */
+export function schedule_tasks(
+    tasks,
+    dependency_map,
+    is_ignored = () => false,
+) {
+    const dates = {};
+    const changes = [];
+    for (let task of topological_order(tasks, dependency_map)) {
+        let start = task._start;
+        let end = task._end;
+
+        if (!(task._children && task._children.length)) {
+            let required = null;
+            for (let link of task._dependencies) {
+                const from = dates[link.from];
+                if (!from) continue;
+                const bound = get_start_bound(
+                    link,
+                    { early_start: from.start, early_finish: from.end },
+                    end - start,
+                );
+                if (!required || bound > required) required = bound;
+            }
+
+            const constraints = task._constraints || {};
+            const not_before = constraints.start_no_earlier_than;
+            if (not_before && (!required || not_before > required))
+                required = not_before;
+            // pinned tasks never move, a violation is reported instead
+            if (constraints.must_start_on) required = null;
+
+            if (required && required > start) {
+                ({ start, end } = move_task(start, end, required, is_ignored));
+                changes.push({ task, start, end });
+            }
+        }
+        dates[task.id] = { start, end };
+    }
+    return changes;
+}
+
+function move_task(start, end, new_start, is_ignored) {
+    const working_time = end - start - count_ignored(start, end, is_ignored);
+
+    while (is_ignored(date_utils.start_of(new_start, 'day'))) {
+        new_start = date_utils.add(new_start, 1, 'day');
+    }
+    let new_end = new Date(+new_start + working_time);
+    // every ignored day covered pushes the end out by a day
+    for (
+        let d = date_utils.start_of(new_start, 'day');
+        d < new_end;
+        d = date_utils.add(d, 1, 'day')
+    ) {
+        if (is_ignored(d)) new_end = date_utils.add(new_end, 1, 'day');
+    }
+    return { start: new_start, end: new_end };
+}
+
+// time taken up by ignored days between two dates, in milliseconds
+function count_ignored(start, end, is_ignored) {
+    let ignored = 0;
+    for (
+        let d = date_utils.start_of(start, 'day');
+        d < end;
+        d = date_utils.add(d, 1, 'day')
+    ) {
+        if (!is_ignored(d)) continue;
+        const next = date_utils.add(d, 1, 'day');
+        ignored += Math.min(next, end) - Math.max(d, start);
+    }
+    return ignored;
+}
+
+/**
+ * List the constraints a task breaks with its current dates.
+ *
+ * @param {Object} task - parsed task, with `_constraints` and `_deadline`
+ * @returns {Array<string>} names of the broken constraints, e.g. `"deadline"`
+ */
+export function get_constraint_violations(task) {
+    const constraints = task._constraints || {};
+    const violations = [];
+    if (
+        constraints.start_no_earlier_than &&
+        task._start < constraints.start_no_earlier_than
+    )
+        violations.push('start_no_earlier_than');
+    if (
+        constraints.finish_no_later_than &&
+        task._end > constraints.finish_no_later_than
+    )
+        violations.push('finish_no_later_than');
+    if (
+        constraints.must_start_on &&
+        +task._start !== +constraints.must_start_on
+    )
+        violations.push('must_start_on');
+    if (task._deadline && task._end > task._deadline)
+        violations.push('deadline');
+    return violations;
+}
+
+/**
+ * Order tasks so that every task comes after its predecessors. Tasks caught
+ * in a cycle can't be ordered and are dropped.
+ */
+export function topological_order(tasks, dependency_map) {
+    const ids = new Set(tasks.map((task) => task.id));
+    const by_id = {};
+    const pending = {};
+    for (let task of tasks) {
+        by_id[task.id] = task;
+        pending[task.id] = task._dependencies.filter((link) =>
+            ids.has(link.from),
+        ).length;
+    }
+
+    const queue = tasks.filter((task) => !pending[task.id]);
+    const order = [];
+    while (queue.length) {
+        const task = queue.shift();
+        order.push(task);
+        for (let link of dependency_map[task.id] || []) {
+            if (!(link.to in pending)) continue;
+            if (--pending[link.to] === 0) queue.push(by_id[link.to]);
+        }
+    }
+    return order;
+}
+
+/**
+ * Shift a date by the lag of a link, backwards when `sign` is -1.
+ */
+export function apply_lag(date, lag, sign = 1) {
+    const { duration, scale } = date_utils.parse_duration(lag);
+    if (!duration) return date;
+    return date_utils.add(date, sign * duration, scale);
+}
+
+// earliest start of the successor of a link, given the predecessor's dates
+function get_start_bound(link, from, duration) {
+    const anchor = link.type[0] === 'S' ? from.early_start : from.early_finish;
+    const bound = apply_lag(anchor, link.lag);
+    return link.type[1] === 'S' ? bound : new Date(+bound - duration);
+}
+
+// latest finish of the predecessor of a link, given the successor's dates
+function get_finish_limit(link, to, duration) {
+    const anchor = link.type[1] === 'S' ? to.late_start : to.late_finish;
+    const limit = apply_lag(anchor, link.lag, -1);
+    return link.type[0] === 'F' ? limit : new Date(+limit + duration);
+}
@@ -0,0 +1,386 @@
+import date_utils from './date_utils';
+
+/**
+ * Columns that can be named in the `task_grid_columns` option.
+ */
+export const GRID_COLUMNS = {
+    name: { label: 'Task', width: 180, format: (task) => task.name },
+    start: {
+        label: 'Start',
+        width: 90,
+        format: (task, gantt) => format_date(task._start, gantt),
+    },
+    end: {
+        label: 'End',
+        width: 90,
+        format: (task, gantt) =>
+            // the end shown is the last day the task runs on
+            format_date(
+                task.type === 'milestone'
+                    ? task._end
+                    : date_utils.add(task._end, -1, 'second'),
+                gantt,
+            ),
+    },
+    duration: {
+        label: 'Duration',
+        width: 70,
+        format: (task) => `${task.actual_duration || 0}d`,
+    },
+    progress: {
+        label: 'Progress',
+        width: 70,
+        format: (task) => `${Math.round(task.progress || 0)}%`,
+    },
+};
+
+/**
+ * Table of the tasks frozen to the left of the timeline, one line per row
+ * of the chart.
+ */
+export default class TaskGrid {
+    constructor(gantt) {
+        this.gantt = gantt;
+        this.setup_columns();
+        this.make_pane();
+    }
+
+    setup_columns() {
+        this.columns = (this.gantt.options.task_grid_columns || [])
+            .map((column) => {
+                if (typeof column === 'string') column = { id: column };
+                const preset = GRID_COLUMNS[column.id] || {};
+                return {
+                    label: column.id,
+                    width: 100,
+                    format: (task) => task[column.id] ?? '',
+                    ...preset,
+                    ...column,
+                };
+            })
+            .filter((column) => column.id);
+        this.width = this.columns.reduce((sum, { width }) => sum + width, 0);
+    }
+
+    make_pane() {
+        const $container = this.gantt.$container;
+        // the pane and the timeline are laid out side by side
+        let $layout = $container.parentElement;
+        if (!$layout.classList.contains('gantt-layout')) {
+            $layout = this.gantt.create_el({ classes: 'gantt-layout' });
+            $container.before($layout);
+            $layout.appendChild($container);
+        }
+
+        this.$pane = this.gantt.create_el({
+            classes: 'task-grid',
+            width: this.width,
+        });
+        $layout.prepend(this.$pane);
+        // takes no height of its own, so the pane is as tall as the timeline
+        this.$body = this.gantt.create_el({
+            classes: 'task-grid-body',
+            append_to: this.$pane,
+        });
+
+        // the pane follows the timeline, so scroll that instead
+        this.$pane.addEventListener(
+            'wheel',
+            (e) => {
+                e.preventDefault();
+                $container.scrollTop += e.deltaY;
+            },
+            { passive: false },
+        );
+        this.bind_row_drag();
+    }
+
+    // rows are dragged up and down to reorder them, like bars
+    bind_row_drag() {
+        const gantt = this.gantt;
+        let drag = null;
+        gantt.bind_press(
+            '.task-grid-row[data-id]',
+            (e, $row) => {
+                if (!gantt.can_reorder_rows()) return;
+                const task = gantt.get_task($row.dataset.id);
+                drag = { task, y: e.clientY, drop: null };
+            },
+            this.$body,
+        );
+        this.$body.addEventListener('pointermove', (e) => {
+            if (!drag) return;
+            // still a click on the cell
+            if (!drag.drop && Math.abs(e.clientY - drag.y) < 5) return;
+            gantt.capture_pointer(e.pointerId, this.$body);
+            const { y } = gantt.get_pointer_position(e);
+            drag.drop = gantt.get_row_drop(drag.task, y);
+            gantt.show_row_drop(drag.drop);
+        });
+        // the pointer is captured once the row moves, so this gets the drop
+        for (let type of ['pointerup', 'pointercancel']) {
+            this.$body.addEventListener(type, () => {
+                if (!drag) return;
+                const { task, drop } = drag;
+                drag = null;
+                if (!drop) return;
+                gantt.show_row_drop(null);
+                gantt.reorder_row(task, drop.slot);
+            });
+        }
+    }
+
+    draw() {
+        const { header_height, row_height } = this.gantt.config;
+        this.$body.innerHTML = '';
+
+        const $header = this.gantt.create_el({
+            classes: 'task-grid-header',
+            height: header_height,
+            append_to: this.$body,
+        });
+        for (let column of this.columns) {
+            this.make_cell($header, column, column.label);
+        }
+
+        const $rows = this.gantt.create_el({
+            classes: 'task-grid-rows',
+            append_to: this.$body,
+        });
+        // leave room for the horizontal scrollbar of the timeline
+        $rows.style.minHeight =
+            this.gantt.grid_height - header_height + 20 + 'px';
+
+        this.gantt.rows.forEach((tasks, i) => {
+            if (tasks.group) {
+                return this.make_group_row($rows, tasks.group, i);
+            }
+            const $row = this.gantt.create_el({
+                classes: 'task-grid-row',
+                height: row_height,
+                append_to: $rows,
+            });
+            $row.dataset.row = i;
+            $row.dataset.id = tasks[0].id;
+            for (let column of this.columns) {
+                const $cell = this.make_cell(
+                    $row,
+                    column,
+                    tasks
+                        .map((task) => column.format(task, this.gantt))
+                        .join(', '),
+                );
+                if (tasks.length === 1 && this.is_editable(tasks[0], column)) {
+                    $cell.classList.add('editable');
+                    $cell.addEventListener('click', () =>
+                        this.edit_cell($cell, tasks[0], column),
+                    );
+                }
+                if (column.id === 'name') {
+                    $cell.style.paddingLeft = 8 + tasks[0]._depth * 16 + 'px';
+                    if (tasks[0]._children.length) {
+                        this.make_toggle($cell, tasks[0]);
+                    }
+                }
+            }
+        });
+        this.sync_scroll();
+    }
+
+    make_group_row($rows, group, i) {
+        const $row = this.gantt.create_el({
+            classes: 'task-grid-row task-grid-group',
+            height: this.gantt.config.row_height,
+            append_to: $rows,
+        });
+        $row.dataset.row = i;
+        $row.dataset.group = group.key;
+        // the label spans every column
+        const $cell = this.make_cell(
+            $row,
+            { id: 'group', width: this.width },
+            group.key || 'None',
+        );
+        const $toggle = document.createElement('span');
+        $toggle.classList.add('task-grid-toggle');
+        $toggle.textContent = group.collapsed ? '▸' : '▾';
+        $toggle.addEventListener('click', () =>
+            this.gantt.toggle_group(group.key),
+        );
+        $cell.prepend($toggle);
+        const $count = document.createElement('span');
+        $count.classList.add('task-grid-count');
+        $count.textContent = group.tasks.length;
+        $cell.appendChild($count);
+    }
+
+    make_cell($parent, column, content) {
+        const $cell = this.gantt.create_el({
+            classes: 'task-grid-cell',
+            width: column.width,
+            append_to: $parent,
+        });
+        $cell.dataset.column = column.id;
+        $cell.textContent = content;
+        $cell.title = content;
+        return $cell;
+    }
+
+    make_toggle($cell, task) {
+        const $toggle = document.createElement('span');
+        $toggle.classList.add('task-grid-toggle');
+        $toggle.textContent = task.collapsed ? '▸' : '▾';
+        $toggle.addEventListener('click', () =>
+            this.gantt.toggle_collapse(task.id),
+        );
+        $cell.prepend($toggle);
+    }
+
+    is_editable(task, column) {
+        const { readonly, readonly_dates, readonly_progress } =
+            this.gantt.options;
+        if (readonly) return false;
+        if (column.id === 'name') return true;
+        // summary tasks take their dates and progress from their children
+        if (task._children.length) return false;
+        if (column.id === 'progress') {
+            return !readonly_progress && task.type !== 'milestone';
+        }
+        if (readonly_dates) return false;
+        if (column.id === 'start') return true;
+        if (column.id === 'end' || column.id === 'duration') {
+            return task.type !== 'milestone' && !task._segments;
+        }
+        return false;
+    }
+
+    edit_cell($cell, task, column) {
+        if ($cell.querySelector('input')) return;
+        const value = $cell.title;
+        const $input = document.createElement('input');
+        $input.classList.add('task-grid-input');
+        $input.value = value;
+        $cell.textContent = '';
+        $cell.appendChild($input);
+        $input.focus();
+        $input.select();
+
+        let done = false;
+        const finish = (commit) => {
+            if (done) return;
+            done = true;
+            const new_value = $input.value.trim();
+            if (commit && new_value !== value) {
+                this.commit(task, column.id, new_value);
+            } else {
+                this.draw();
+            }
+        };
+        $input.addEventListener('keydown', (e) => {
+            // keep the chart's own shortcuts out of the way while typing
+            e.stopPropagation();
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        $input.addEventListener('blur', () => finish(true));
+    }
+
+    /**
+     * Apply an edited cell to its task. Dates and progress go through the
+     * same paths as dragging the bar, so the usual events are fired and
+     * the edit can be undone.
+     */
+    commit(task, column_id, value) {
+        const gantt = this.gantt;
+        const bar = gantt.get_bar(task.id);
+        const snapshot = gantt.snapshot_tasks();
+
+        if (column_id === 'name') {
+            if (!value) return this.draw();
+            task.name = value;
+            bar.refresh();
+            gantt.trigger_event('name_change', [task, value]);
+        } else if (column_id === 'progress') {
+            const progress = parseFloat(value);
+            if (isNaN(progress)) {
+                return this.report(task, `"${value}" is not a valid progress`);
+            }
+            bar.progress_changed(Math.min(Math.max(progress, 0), 100));
+            bar.update_progressbar_position();
+            bar.update_handle_position();
+            gantt.update_summary_tasks(task);
+        } else {
+            const range = this.get_new_range(task, column_id, value);
+            if (!range) {
+                return this.report(
+                    task,
+                    `"${value}" is not a valid ${column_id}`,
+                );
+            }
+            if (!gantt.move_bar_to(bar, range.start, range.end)) {
+                return this.report(
+                    task,
+                    `"${value}" breaks a dependency or constraint of the task`,
+                );
+            }
+            // the move is recorded along with the dependents it took
+            return this.draw();
+        }
+        gantt.update_overlays();
+        gantt.record_changes(snapshot);
+    }
+
+    // start and exclusive end of a task after editing one of its dates
+    get_new_range(task, column_id, value) {
+        const duration = task._end - task._start;
+        if (column_id === 'duration') {
+            let days = parseInt(value, 10);
+            if (isNaN(days) || days < 1) return null;
+            // ignored days don't count towards the duration
+            let end = task._start;
+            while (days > 0) {
+                if (!this.gantt.is_ignored_date(end)) days--;
+                end = date_utils.add(end, 1, 'day');
+            }
+            return { start: task._start, end };
+        }
+
+        const date = date_utils.parse(value);
+        if (!(date instanceof Date) || isNaN(date)) return null;
+        if (column_id === 'start') {
+            return { start: date, end: new Date(+date + duration) };
+        }
+        // the end shown is the last day of the task
+        const end = date_utils.add(date, 1, 'day');
+        if (end <= task._start) return null;
+        return { start: task._start, end };
+    }
+
+    report(task, message) {
+        this.gantt.report_errors([
+            { type: 'invalid_value', task_id: task.id, message },
+        ]);
+        this.draw();
+    }
+
+    sync_scroll() {
+        this.$body.scrollTop = this.gantt.$container.scrollTop;
+    }
+
+    remove() {
+        this.$pane.remove();
+        // the container goes back in place once the grid is turned off
+        const $container = this.gantt.$container;
+        const $layout = $container.parentElement;
+        if (
+            !this.gantt.options.show_task_grid &&
+            $layout?.classList.contains('gantt-layout')
+        ) {
+            $layout.replaceWith($container);
+        }
+    }
+}
+
+function format_date(date, gantt) {
+    return date_utils.format(date, 'YYYY-MM-DD', gantt.options.language);
+}
@@ -0,0 +1,248 @@
+import date_utils from './date_utils';
+import { parse_dependencies } from './dependencies';
+
+/**
+ * Check a list of tasks, as passed to the chart, for problems that would
+ * make tasks or links be dropped.
+ *
+ * Every problem is reported as an object with a `type`, the `task_id` it
+ * belongs to and a readable `message`. The types are:
+ * - `duplicate_id` - another task already uses the id
+ * - `invalid_date` - missing, unreadable or out of order dates
+ * - `missing_dependency` - a dependency on an unknown id, see `dependency_id`
+ * - `invalid_dependency` - a link type or lag that can't be read, see
+ *   `dependency_id`. The link is kept as finish-to-start or without lag.
+ * - `missing_parent` - a parent that can't be found, see `parent_id`
+ * - `dependency_cycle` - tasks depending on each other, see `cycle`
+ * - `parent_cycle` - tasks being their own ancestors, see `cycle`
+ *
+ * @param {Array} tasks
+ * @returns {Array<Object>} the problems found, empty when the tasks are valid
+ */
+export function validate_tasks(tasks) {
+    const errors = [];
+    const task_map = {};
+    for (let task of tasks) {
+        if (task.id === undefined || task.id === null) continue;
+        const id = normalize_id(task.id);
+        if (task_map[id]) {
+            errors.push({
+                type: 'duplicate_id',
+                task_id: id,
+                message: `task id "${id}" is used more than once`,
+            });
+            continue;
+        }
+        task_map[id] = task;
+    }
+
+    const parents = {};
+    for (let [id, task] of Object.entries(task_map)) {
+        if (task.parent === undefined || task.parent === null) continue;
+        const parent_id = normalize_id(task.parent);
+        if (!task_map[parent_id]) {
+            errors.push({
+                type: 'missing_parent',
+                task_id: id,
+                parent_id,
+                message: `parent "${parent_id}" of task "${id}" could not be found`,
+            });
+            continue;
+        }
+        parents[id] = parent_id;
+    }
+    errors.push(...find_cycles(parents, 'parent_cycle'));
+
+    // summary tasks take their dates from their children
+    const children = {};
+    for (let [id, parent_id] of Object.entries(parents)) {
+        if (!children[parent_id]) children[parent_id] = [];
+        children[parent_id].push(id);
+    }
+    const dated = new Set();
+    for (let [id, task] of Object.entries(task_map)) {
+        if (children[id]) continue;
+        const message = check_task_dates(task);
+        if (message) {
+            errors.push({ type: 'invalid_date', task_id: id, message });
+        } else {
+            dated.add(id);
+        }
+    }
+    for (let id of dated) {
+        for (let p = parents[id]; p && !dated.has(p); p = parents[p]) {
+            dated.add(p);
+        }
+    }
+    for (let id of Object.keys(children)) {
+        if (dated.has(id)) continue;
+        errors.push({
+            type: 'invalid_date',
+            task_id: id,
+            message: `task "${id}" doesn't have a start date`,
+        });
+    }
+
+    const predecessors = {};
+    for (let [id, task] of Object.entries(task_map)) {
+        errors.push(...check_task_dependencies(task));
+        predecessors[id] = [];
+        for (let { id: dependency_id } of parse_dependencies(
+            task.dependencies,
+        )) {
+            if (task_map[dependency_id]) {
+                predecessors[id].push(dependency_id);
+                continue;
+            }
+            errors.push({
+                type: 'missing_dependency',
+                task_id: id,
+                dependency_id,
+                message: `dependency "${dependency_id}" of task "${id}" could not be found`,
+            });
+        }
+    }
+    errors.push(...find_cycles(predecessors, 'dependency_cycle'));
+
+    return errors;
+}
+
+/**
+ * Check the link types and lags in the dependencies of a single task.
+ *
+ * @param {Object} task
+ * @returns {Array<Object>} an `invalid_dependency` error for every bad link
+ */
+export function check_task_dependencies(task) {
+    const task_id = normalize_id(task.id);
+    const problems = [];
+    parse_dependencies(task.dependencies, problems);
+    return problems.map(({ dependency_id, field, value }) => ({
+        type: 'invalid_dependency',
+        task_id,
+        dependency_id,
+        message:
+            field === 'type'
+                ? `dependency "${dependency_id}" of task "${task_id}" has an unknown type "${value}", using FS`
+                : `dependency "${dependency_id}" of task "${task_id}" has an invalid lag "${value}", using none`,
+    }));
+}
+
+/**
+ * Check the dates of a single task.
+ *
+ * @param {Object} task
+ * @returns {string|null} what is wrong with the dates, or null
+ */
+export function check_task_dates(task) {
+    const id = task.id;
+    if (Array.isArray(task.segments) && task.segments.length) {
+        return check_segments(task);
+    }
+    if (!task.start) return `task "${id}" doesn't have a start date`;
+    const start = date_utils.parse(task.start);
+    if (!is_valid_date(start)) {
+        return `task "${id}" has an invalid start date "${task.start}"`;
+    }
+
+    let end;
+    if (task.end === undefined && task.duration !== undefined) {
+        end = date_utils.add_duration(start, task.duration);
+        if (!end) {
+            return `task "${id}" has an invalid duration "${task.duration}"`;
+        }
+    } else if (task.type === 'milestone' || task.end === undefined) {
+        return null;
+    } else if (!task.end) {
+        return `task "${id}" doesn't have an end date`;
+    } else {
+        end = date_utils.parse(task.end);
+        if (!is_valid_date(end)) {
+            return `task "${id}" has an invalid end date "${task.end}"`;
+        }
+    }
+
+    if (end < start) {
+        return `start of task can't be after end of task: in task "${id}"`;
+    }
+    if (date_utils.diff(end, start, 'year') > 10) {
+        return `the duration of task "${id}" is too long (above ten years)`;
+    }
+    return null;
+}
+
+// every segment needs a start and an end, and they can't overlap
+function check_segments(task) {
+    const ranges = [];
+    for (let segment of task.segments) {
+        if (segment.end === undefined && segment.duration === undefined) {
+            return `a segment of task "${task.id}" doesn't have an end date`;
+        }
+        const message = check_task_dates({ ...segment, id: task.id });
+        if (message) return message;
+        const start = date_utils.parse(segment.start);
+        const end =
+            segment.end !== undefined
+                ? date_utils.parse(segment.end)
+                : date_utils.add_duration(start, segment.duration);
+        ranges.push([start, end]);
+    }
+    ranges.sort((a, b) => a[0] - b[0]);
+    for (let i = 1; i < ranges.length; i++) {
+        if (ranges[i][0] <= ranges[i - 1][1]) {
+            return `segments of task "${task.id}" overlap`;
+        }
+    }
+    return null;
+}
+
+export function normalize_id(id) {
+    return typeof id === 'string' ? id.replaceAll(' ', '_') : `${id}`;
+}
+
+function is_valid_date(date) {
+    return date instanceof Date && !isNaN(date);
+}
+
+// walks the graph given as lists of neighbour ids and reports every loop once
+function find_cycles(graph, type) {
+    const errors = [];
+    const state = {};
+    for (let root of Object.keys(graph)) {
+        if (state[root]) continue;
+        const path = [];
+        const stack = [[root, 0]];
+        while (stack.length) {
+            const frame = stack[stack.length - 1];
+            const [id, index] = frame;
+            if (index === 0) {
+                state[id] = 'visiting';
+                path.push(id);
+            }
+            const next = [].concat(graph[id] || [])[index];
+            if (next === undefined) {
+                state[id] = 'done';
+                path.pop();
+                stack.pop();
+                continue;
+            }
+            frame[1]++;
+            if (state[next] === 'visiting') {
+                const cycle = path.slice(path.indexOf(next));
+                const names = cycle.map((c) => `"${c}"`).join(', ');
+                errors.push({
+                    type,
+                    task_id: next,
+                    cycle,
+                    message:
+                        type === 'parent_cycle'
+                            ? `tasks ${names} are their own ancestors`
+                            : `tasks ${names} depend on each other in a loop`,
+                });
+            } else if (!state[next]) {
+                stack.push([next, 0]);
+            }
+        }
+    }
+    return errors;
+}
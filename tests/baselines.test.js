@@ -0,0 +1,72 @@
+import date_utils from '../src/date_utils';
+import { day, make_gantt, make_pair } from './dom';
+
+// `a` brings its own baseline, `b` has none
+const tasks = () => {
+    const list = make_pair();
+    list[0].baseline_start = '2024-01-01';
+    list[0].baseline_end = '2024-01-02';
+    return list;
+};
+
+// start and end of the ghost bar of a task, as dates
+function get_ghost(gantt, id) {
+    const $baseline = gantt.get_bar(id).$baseline;
+    if (!$baseline) return null;
+    const x = +$baseline.getAttribute('x');
+    const width = +$baseline.getAttribute('width');
+    const to_date = (x) =>
+        date_utils.add(gantt.gantt_start, x / gantt.config.column_width, 'day');
+    return [
+        date_utils.format(to_date(x), 'YYYY-MM-DD'),
+        date_utils.format(to_date(x + width), 'YYYY-MM-DD'),
+    ];
+}
+
+test('Baselines: tasks can bring their own baseline', () => {
+    const gantt = make_gantt(tasks());
+    expect(get_ghost(gantt, 'a')).toEqual(['2024-01-01', '2024-01-03']);
+    expect(get_ghost(gantt, 'b')).toBeNull();
+
+    const bar = gantt.get_bar('a');
+    gantt.show_popup({ x: 0, y: 0, task: bar.task, target: bar.$bar });
+    const details = gantt.$container.querySelector('.popup-wrapper .details');
+    expect(details.textContent).toContain('Slip: +1 days');
+});
+
+test('Baselines: saved baselines can be switched', () => {
+    const gantt = make_gantt(tasks());
+    gantt.save_baseline('plan');
+    gantt.update_task('b', { start: '2024-01-08', end: '2024-01-09' });
+    gantt.save_baseline('replan');
+    gantt.update_task('b', { start: '2024-01-10', end: '2024-01-11' });
+
+    expect(get_ghost(gantt, 'b')).toEqual(['2024-01-08', '2024-01-10']);
+    gantt.set_baseline('plan');
+    expect(get_ghost(gantt, 'b')).toEqual(['2024-01-04', '2024-01-06']);
+    expect(get_ghost(gantt, 'a')).toEqual(['2024-01-01', '2024-01-04']);
+
+    // back to the dates given on the tasks
+    gantt.set_baseline(null);
+    expect(get_ghost(gantt, 'a')).toEqual(['2024-01-01', '2024-01-03']);
+    expect(get_ghost(gantt, 'b')).toBeNull();
+
+    expect(() => gantt.set_baseline('missing')).toThrow();
+});
+
+test('Baselines: a stored snapshot can be passed back in', () => {
+    const first = make_gantt(tasks());
+    const stored = JSON.parse(JSON.stringify(first.save_baseline('plan')));
+
+    const list = tasks();
+    list[1].start = '2024-01-06';
+    list[1].end = '2024-01-07';
+    const gantt = make_gantt(list, {
+        baselines: { plan: stored },
+        baseline: 'plan',
+    });
+    expect(get_ghost(gantt, 'b')).toEqual(['2024-01-04', '2024-01-06']);
+    expect(gantt.get_baseline(gantt.get_task('b')).end.getTime()).toBe(
+        day('2024-01-06'),
+    );
+});
@@ -0,0 +1,88 @@
+import { fire, make_gantt, make_pair } from './dom';
+
+function open_menu(gantt, $target) {
+    fire($target, 'contextmenu', { clientX: 50, clientY: 80 });
+    return gantt.$container.querySelector('.context-menu');
+}
+
+test('Context menu: items get what was clicked', () => {
+    const clicked = [];
+    const gantt = make_gantt(make_pair(), {
+        context_menu: (ctx) => {
+            if (ctx.target !== 'bar') return;
+            ctx.add_item(`Delete ${ctx.task.name}`, ({ task, chart }) => {
+                clicked.push(task.id);
+                chart.remove_task(task.id);
+            });
+        },
+    });
+    const $menu = open_menu(gantt, gantt.get_bar('b').$bar);
+
+    expect($menu.classList.contains('hide')).toBe(false);
+    const $item = $menu.querySelector('.context-menu-item');
+    expect($item.textContent).toBe('Delete B');
+    fire($item, 'click');
+    expect(clicked).toEqual(['b']);
+    expect(gantt.get_task('b')).toBeUndefined();
+    expect($menu.classList.contains('hide')).toBe(true);
+});
+
+test('Context menu: no items keep the browser menu', () => {
+    const gantt = make_gantt(make_pair());
+    const $row = gantt.$svg.querySelector('.grid-row');
+    expect(fire($row, 'contextmenu')).toBe(true);
+    expect(gantt.$container.querySelector('.context-menu.hide')).toBeTruthy();
+});
+
+test('Context menu: arrows can be removed by default', () => {
+    const gantt = make_gantt(make_pair());
+    const $menu = open_menu(gantt, gantt.arrows[0].element);
+    const $item = $menu.querySelector('.context-menu-item');
+    expect($item.textContent).toBe('Remove dependency');
+
+    fire($item, 'click');
+    expect(gantt.arrows).toHaveLength(0);
+    expect(gantt.get_task('b').dependencies).toEqual([]);
+});
+
+test('Context menu: closes on Escape, outside presses and scrolling', () => {
+    const gantt = make_gantt(make_pair());
+    const $arrow = gantt.arrows[0].element;
+    const is_open = () =>
+        !gantt.$container
+            .querySelector('.context-menu')
+            .classList.contains('hide');
+
+    open_menu(gantt, $arrow);
+    fire(document.body, 'keydown', { key: 'a' });
+    expect(is_open()).toBe(true);
+    fire(document.body, 'keydown', { key: 'Escape' });
+    expect(is_open()).toBe(false);
+
+    const $menu = open_menu(gantt, $arrow);
+    fire($menu.firstChild, 'pointerdown');
+    expect(is_open()).toBe(true);
+    fire(gantt.$svg, 'pointerdown');
+    expect(is_open()).toBe(false);
+
+    open_menu(gantt, $arrow);
+    document.dispatchEvent(new Event('scroll'));
+    expect(is_open()).toBe(false);
+});
+
+test('Context menu: stops listening to the document once closed', () => {
+    const gantt = make_gantt(make_pair());
+    open_menu(gantt, gantt.arrows[0].element);
+    const menu = gantt.context_menu;
+    let calls = 0;
+    const hide = menu.hide.bind(menu);
+    menu.hide = () => {
+        calls++;
+        hide();
+    };
+
+    fire(document.body, 'keydown', { key: 'Escape' });
+    fire(document.body, 'keydown', { key: 'Escape' });
+    fire(document.body, 'pointerdown');
+    expect(calls).toBe(1);
+});
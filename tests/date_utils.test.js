@@ -122,3 +122,50 @@ test('format', () => {
     const date = date_utils.parse('2016-02-29 16:08:34.3');
     expect(date_utils.format(date)).toBe('2016-02-29 16:08:34.300');
 });
+
+test('Parse duration: parses signed durations', () => {
+    expect(date_utils.parse_duration('2d')).toEqual({
+        duration: 2,
+        scale: 'day',
+    });
+    expect(date_utils.parse_duration('-3h')).toEqual({
+        duration: -3,
+        scale: 'hour',
+    });
+    expect(date_utils.convert_scales('-1d', 'hour')).toBe(-24);
+});
+
+test('Parse duration: minutes and milliseconds are not months', () => {
+    expect(date_utils.parse_duration('30min')).toEqual({
+        duration: 30,
+        scale: 'minute',
+    });
+    expect(date_utils.parse_duration('500ms')).toEqual({
+        duration: 500,
+        scale: 'millisecond',
+    });
+    expect(date_utils.parse_duration('2m')).toEqual({
+        duration: 2,
+        scale: 'month',
+    });
+});
+
+test('Parse duration: reads the start of longer words', () => {
+    expect(date_utils.parse_duration('2days')).toEqual({
+        duration: 2,
+        scale: 'day',
+    });
+    expect(date_utils.parse_duration('3hours')).toEqual({
+        duration: 3,
+        scale: 'hour',
+    });
+    expect(date_utils.parse_duration('soon')).toBeUndefined();
+});
+
+test('Add duration: adds space separated durations', () => {
+    const date = date_utils.parse('2024-01-30');
+    expect(date_utils.add_duration(date, '1d 12h')).toEqual(
+        date_utils.parse('2024-01-31 12:00'),
+    );
+    expect(date_utils.add_duration(date, '1d soon')).toBe(null);
+});
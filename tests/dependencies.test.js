@@ -0,0 +1,65 @@
+import { parse_dependencies, format_dependency } from '../src/dependencies';
+
+test('Parse: plain ids default to finish-to-start', () => {
+    expect(parse_dependencies('T1, T 2')).toEqual([
+        { id: 'T1', type: 'FS', lag: '0d' },
+        { id: 'T_2', type: 'FS', lag: '0d' },
+    ]);
+});
+
+test('Parse: types and lags from strings', () => {
+    expect(parse_dependencies('T1:SS+2d, T3:ff-1d, T4:+3h')).toEqual([
+        { id: 'T1', type: 'SS', lag: '2d' },
+        { id: 'T3', type: 'FF', lag: '-1d' },
+        { id: 'T4', type: 'FS', lag: '3h' },
+    ]);
+});
+
+test('Parse: minute and millisecond lags', () => {
+    expect(parse_dependencies('T1:SS+30min, T2:-500ms')).toEqual([
+        { id: 'T1', type: 'SS', lag: '30min' },
+        { id: 'T2', type: 'FS', lag: '-500ms' },
+    ]);
+    expect(format_dependency({ id: 'T1', type: 'FS', lag: '30min' })).toBe(
+        'T1:FS+30min',
+    );
+});
+
+test('Parse: bad types and lags fall back and are collected', () => {
+    const problems = [];
+    expect(parse_dependencies('T1:XY, T2:+3x, T3:+2days', problems)).toEqual([
+        { id: 'T1', type: 'FS', lag: '0d' },
+        { id: 'T2', type: 'FS', lag: '0d' },
+        { id: 'T3', type: 'FS', lag: '0d' },
+    ]);
+    expect(problems).toEqual([
+        { dependency_id: 'T1', field: 'type', value: 'XY' },
+        { dependency_id: 'T2', field: 'lag', value: '+3x' },
+        { dependency_id: 'T3', field: 'lag', value: '+2days' },
+    ]);
+});
+
+test('Parse: object form and mixed arrays', () => {
+    expect(
+        parse_dependencies([{ id: 'T1', type: 'SF', lag: -2 }, 'T2:SS']),
+    ).toEqual([
+        { id: 'T1', type: 'SF', lag: '-2d' },
+        { id: 'T2', type: 'SS', lag: '0d' },
+    ]);
+});
+
+test('Parse: empty values', () => {
+    expect(parse_dependencies('')).toEqual([]);
+    expect(parse_dependencies(undefined)).toEqual([]);
+    expect(parse_dependencies('T1,,')).toHaveLength(1);
+});
+
+test('Format: round trips through parse', () => {
+    const links = parse_dependencies('T1, T2:SS+2d, T3:FF-1d, T4:SF');
+    expect(links.map(format_dependency)).toEqual([
+        'T1',
+        'T2:SS+2d',
+        'T3:FF-1d',
+        'T4:SF',
+    ]);
+});
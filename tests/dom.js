@@ -0,0 +1,137 @@
+import Gantt from '../src/index';
+import date_utils from '../src/date_utils';
+
+// jsdom has no layout: bars are measured from their attributes, and
+// pointer capture and scrolling are no-ops
+if (!SVGElement.prototype.getBBox) {
+    SVGElement.prototype.getBBox = function () {
+        return {
+            x: +this.getAttribute('x') || 0,
+            y: +this.getAttribute('y') || 0,
+            width:
+                +this.getAttribute('width') ||
+                (this.textContent || '').length * 6,
+            height: +this.getAttribute('height') || 10,
+        };
+    };
+}
+for (let name of [
+    'setPointerCapture',
+    'releasePointerCapture',
+    'hasPointerCapture',
+    'scrollTo',
+]) {
+    if (!Element.prototype[name]) Element.prototype[name] = () => false;
+}
+if (typeof PointerEvent === 'undefined') {
+    globalThis.PointerEvent = class extends MouseEvent {
+        constructor(type, options = {}) {
+            super(type, options);
+            this.pointerId = options.pointerId || 1;
+            this.pointerType = options.pointerType || 'mouse';
+        }
+    };
+}
+
+/**
+ * The plan most tests draw: the summary `phase` over `a` and `b`, where `b`
+ * depends on `a`, then `c` depending on `b`. Charts change the tasks they
+ * are given, so every call returns new ones.
+ *
+ * @returns {Object[]}
+ */
+export function make_plan() {
+    return [
+        { id: 'phase', name: 'Phase' },
+        {
+            id: 'a',
+            name: 'A',
+            start: '2024-01-01',
+            end: '2024-01-03',
+            parent: 'phase',
+        },
+        {
+            id: 'b',
+            name: 'B',
+            start: '2024-01-04',
+            end: '2024-01-05',
+            parent: 'phase',
+            dependencies: 'a',
+        },
+        {
+            id: 'c',
+            name: 'C',
+            start: '2024-01-08',
+            end: '2024-01-09',
+            dependencies: 'b',
+        },
+    ];
+}
+
+/**
+ * Tasks `a` and `b` of `make_plan`, without their summary.
+ *
+ * @returns {Object[]}
+ */
+export function make_pair() {
+    return make_plan()
+        .slice(1, 3)
+        .map(({ parent, ...task }) => task);
+}
+
+// time of a day, to compare with the dates of tasks
+export const day = (s) => date_utils.parse(s).getTime();
+
+/**
+ * Render a chart in a fresh container, replacing the previous one.
+ *
+ * @param {Object[]} tasks
+ * @param {Object} [options]
+ * @returns {Gantt}
+ */
+export function make_gantt(tasks, options = {}) {
+    document.body.innerHTML = '<div id="gantt"></div>';
+    return new Gantt('#gantt', tasks, { view_mode: 'Day', ...options });
+}
+
+/**
+ * Dispatch a bubbling event, picking the event class from its type.
+ *
+ * @param {Element} $el
+ * @param {string} type - e.g. `pointerdown`, `keydown` or `click`
+ * @param {Object} [options] - passed to the event constructor
+ * @returns {boolean} false when a listener prevented the default
+ */
+export function fire($el, type, options = {}) {
+    const EventClass = type.startsWith('pointer')
+        ? PointerEvent
+        : type.startsWith('key')
+          ? KeyboardEvent
+          : MouseEvent;
+    return $el.dispatchEvent(
+        new EventClass(type, { bubbles: true, cancelable: true, ...options }),
+    );
+}
+
+/**
+ * Press, move and release the pointer, with positions relative to where
+ * the press started.
+ *
+ * @param {Element} $el - element the press starts on
+ * @param {number[][]} moves - `[dx, dy]` offsets of each move
+ * @param {Object} [options] - extra event fields, e.g. `shiftKey`
+ */
+export function drag($el, moves, options = {}) {
+    const start = { clientX: 100, clientY: 100, ...options };
+    fire($el, 'pointerdown', start);
+    let position = start;
+    for (let [dx, dy] of moves) {
+        position = {
+            ...start,
+            clientX: start.clientX + dx,
+            clientY: start.clientY + dy,
+        };
+        fire($el, 'pointermove', position);
+    }
+    fire($el, 'pointerup', position);
+}
@@ -0,0 +1,73 @@
+import date_utils from '../src/date_utils';
+import { drag, make_gantt, make_pair } from './dom';
+
+// drags along a row between two dates, past the middle of their columns
+function draw(gantt, row, from, to) {
+    const $row = gantt.$svg.querySelectorAll('.grid-row')[row];
+    const x1 = gantt.date_to_x(date_utils.parse(from)) + 5;
+    const x2 = gantt.date_to_x(date_utils.parse(to)) + 5;
+    const y =
+        gantt.config.header_height +
+        row * gantt.config.row_height +
+        gantt.config.row_height / 2;
+    drag($row, [[x2 - x1, 0]], { clientX: x1, clientY: y });
+}
+
+test('Drawing: adds a task from the start to the end of the drag', () => {
+    const calls = [];
+    const gantt = make_gantt(make_pair(), {
+        on_task_create: (...args) => {
+            calls.push(args);
+            return true;
+        },
+    });
+    draw(gantt, 1, '2024-01-08', '2024-01-09');
+
+    expect(calls).toHaveLength(1);
+    const [start, end, row] = calls[0];
+    expect(start.getTime()).toBe(date_utils.parse('2024-01-08').getTime());
+    // the end is the boundary after the last day
+    expect(end.getTime()).toBe(date_utils.parse('2024-01-10').getTime());
+    expect(row).toBe(1);
+
+    const task = gantt.tasks[1];
+    expect(task.name).toBe('New task');
+    expect(task._end.getTime()).toBe(end.getTime());
+    expect(task.end.getTime()).toBe(date_utils.parse('2024-01-09').getTime());
+    expect(gantt.get_bar(task.id)).toBeTruthy();
+});
+
+test('Drawing: the hook names the task or refuses it', () => {
+    let result = { id: 'drawn', name: 'Drawn' };
+    const gantt = make_gantt(make_pair(), { on_task_create: () => result });
+    draw(gantt, 0, '2024-01-08', '2024-01-09');
+    expect(gantt.get_task('drawn').name).toBe('Drawn');
+    expect(gantt.tasks.map((task) => task.id)).toEqual(['drawn', 'a', 'b']);
+
+    for (result of [false, undefined, 1, 'yes']) {
+        draw(gantt, 0, '2024-01-10', '2024-01-12');
+    }
+    expect(gantt.tasks).toHaveLength(3);
+});
+
+test('Drawing: a hook returning nothing adds no task', () => {
+    const calls = [];
+    const gantt = make_gantt(make_pair(), {
+        on_task_create: (...args) => {
+            calls.push(args);
+        },
+    });
+    draw(gantt, 1, '2024-01-08', '2024-01-09');
+
+    expect(calls).toHaveLength(1);
+    expect(gantt.tasks.map((task) => task.id)).toEqual(['a', 'b']);
+    expect(gantt.bars).toHaveLength(2);
+});
+
+test('Drawing: without on_task_create a drag in a row selects', () => {
+    const gantt = make_gantt(make_pair());
+    draw(gantt, 0, '2023-12-31', '2024-01-02');
+
+    expect(gantt.tasks).toHaveLength(2);
+    expect(gantt.get_selected().map((task) => task.id)).toEqual(['a']);
+});
@@ -0,0 +1,173 @@
+import { day, fire, make_gantt, make_plan } from './dom';
+
+test('Remove task: drops its dependencies from other tasks', () => {
+    const gantt = make_gantt(make_plan());
+    gantt.remove_task('a');
+
+    expect(gantt.get_task('a')).toBeUndefined();
+    expect(gantt.get_task('b').dependencies).toEqual([]);
+    expect(gantt.$svg.querySelector('[data-id="a"]')).toBeNull();
+    expect(gantt.arrows).toHaveLength(1);
+});
+
+test('Remove task: a summary goes with its last child', () => {
+    const gantt = make_gantt(make_plan());
+    gantt.remove_task('a');
+    expect(gantt.get_task('phase')._children).toHaveLength(1);
+
+    gantt.remove_task('b');
+    expect(gantt.get_task('phase')).toBeUndefined();
+    expect(gantt.tasks.map((task) => task.id)).toEqual(['c']);
+    expect(gantt.get_task('c').dependencies).toEqual([]);
+    expect(gantt.bars).toHaveLength(1);
+});
+
+test('Remove task: removing a summary removes its subtasks', () => {
+    const gantt = make_gantt(make_plan());
+    expect(gantt.remove_task('phase').id).toBe('phase');
+    expect(gantt.tasks.map((task) => task.id)).toEqual(['c']);
+    expect(gantt.remove_task('phase')).toBeNull();
+});
+
+test('Add task: parses and draws it', () => {
+    const gantt = make_gantt(make_plan());
+    gantt.add_task({
+        id: 'd',
+        name: 'D',
+        start: '2024-01-10',
+        end: '2024-01-11',
+        dependencies: 'c',
+    });
+
+    expect(gantt.get_task('d')._dependencies).toHaveLength(1);
+    expect(gantt.get_bar('d')).toBeTruthy();
+    expect(gantt.arrows).toHaveLength(3);
+});
+
+// the plan with `a` lasting `duration` instead of ending on a date
+function with_duration(duration) {
+    const list = make_plan();
+    delete list[1].end;
+    list[1].duration = duration;
+    return list;
+}
+
+test('Update task: a new duration moves the end', () => {
+    const expected = make_gantt(with_duration('6d')).get_task('a')._end;
+    const gantt = make_gantt(with_duration('4d'));
+    const a = gantt.get_task('a');
+    expect(a._end.getTime()).toBeLessThan(expected.getTime());
+
+    gantt.update_task('a', { duration: '6d' });
+    expect(a._end.getTime()).toBe(expected.getTime());
+    expect(gantt.get_task('phase')._end.getTime()).toBe(expected.getTime());
+
+    // an end given along with it wins
+    gantt.update_task('a', { duration: '1d', end: '2024-01-02' });
+    expect(a._end.getTime()).toBe(day('2024-01-03'));
+});
+
+test('Undo: renames are undone and redone', () => {
+    const names = [];
+    const gantt = make_gantt(make_plan(), {
+        show_task_grid: true,
+        on_name_change: (task, name) => names.push(name),
+    });
+    gantt.task_grid.commit(gantt.get_task('phase'), 'name', 'Stage');
+
+    gantt.get_bar('c').edit_label();
+    const $input = gantt.$container.querySelector('.bar-label-input');
+    $input.value = 'Ship';
+    fire($input, 'keydown', { key: 'Enter' });
+    expect(gantt.get_task('c').name).toBe('Ship');
+
+    gantt.undo();
+    expect(gantt.get_task('c').name).toBe('C');
+    const $label = gantt.get_bar('c').group.querySelector('.bar-label');
+    expect($label.textContent).toBe('C');
+    gantt.undo();
+    expect(gantt.get_task('phase').name).toBe('Phase');
+    expect(gantt.can_undo()).toBe(false);
+
+    gantt.redo();
+    expect(gantt.get_task('phase').name).toBe('Stage');
+    expect(names).toEqual(['Stage', 'Ship', 'C', 'Phase', 'Stage']);
+});
+
+test('Errors: bad link types and lags go to on_error', () => {
+    const errors = [];
+    const list = make_plan();
+    list[3].dependencies = 'b:XY';
+    const gantt = make_gantt(list, { on_error: (e) => errors.push(...e) });
+    expect(errors.map((error) => error.type)).toEqual(['invalid_dependency']);
+    expect(gantt.get_task('c')._dependencies[0].type).toBe('FS');
+
+    gantt.update_task('c', { dependencies: 'b:SS+2 weeks' });
+    expect(errors.map((error) => error.task_id)).toEqual(['c', 'c']);
+    expect(gantt.get_task('c')._dependencies[0]).toEqual({
+        from: 'b',
+        to: 'c',
+        type: 'SS',
+        lag: '0d',
+    });
+});
+
+test('Refresh: keeps the history and the selection', () => {
+    const list = make_plan();
+    const gantt = make_gantt(list, { show_task_grid: true });
+    gantt.task_grid.commit(gantt.get_task('c'), 'name', 'Ship');
+    gantt.set_selection(['b', 'c']);
+
+    gantt.refresh(list.filter((task) => task.id !== 'b'));
+    expect(gantt.get_selected().map((task) => task.id)).toEqual(['c']);
+    const $bar = gantt.get_bar('c').group;
+    expect($bar.classList.contains('selected')).toBe(true);
+
+    expect(gantt.undo()).toBe(true);
+    expect(gantt.get_task('c').name).toBe('C');
+    expect(gantt.can_undo()).toBe(false);
+});
+
+test('Constraints: violations fire once a change causes them', () => {
+    const violations = [];
+    const list = make_plan();
+    list[1].deadline = '2024-01-02';
+    const gantt = make_gantt(list, {
+        on_constraint_violation: (task, names) =>
+            violations.push(`${task.id}:${names}`),
+    });
+    gantt.refresh(list);
+    expect(violations).toEqual([]);
+    const $bar = gantt.get_bar('a').group;
+    expect($bar.classList.contains('constraint-violation')).toBe(true);
+
+    gantt.update_task('b', { deadline: '2024-01-04' });
+    expect(violations).toEqual(['b:deadline']);
+    // a is still late, which is nothing new
+    gantt.update_task('a', { progress: 20 });
+    expect(violations).toEqual(['b:deadline']);
+});
+
+test('Auto schedule: setting up moves tasks without firing events', () => {
+    const changes = [];
+    const list = make_plan();
+    list[1].end = '2024-01-05';
+    const gantt = make_gantt(list, {
+        auto_schedule: true,
+        on_date_change: (task) => changes.push(task.id),
+    });
+    const b = gantt.get_task('b');
+    expect(b._start.getTime()).toBe(day('2024-01-06'));
+    // the given dates follow
+    expect(+b.start).toBe(day('2024-01-06'));
+    expect(+b.end).toBe(day('2024-01-07'));
+
+    gantt.refresh(list);
+    expect(gantt.get_task('b')._end.getTime()).toBe(day('2024-01-08'));
+    expect(changes).toEqual([]);
+
+    // changes made afterwards are reported
+    gantt.update_task('a', { end: '2024-01-06' });
+    expect(changes).toEqual(['b', 'c']);
+    expect(+gantt.get_task('c').start).toBe(day('2024-01-09'));
+});
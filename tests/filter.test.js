@@ -0,0 +1,53 @@
+import { day, make_gantt, make_plan } from './dom';
+
+// names to search and owners to filter on
+const details = {
+    a: { name: 'Design', owner: 'ann' },
+    b: { name: 'Build', owner: 'bob' },
+    c: { name: 'Test build', owner: 'ann' },
+};
+const tasks = () =>
+    make_plan().map((task) => ({ ...task, ...details[task.id] }));
+const shown = (gantt) => gantt.bars.map((bar) => bar.task.id);
+
+test('Filter: hides tasks but keeps their ancestors', () => {
+    const gantt = make_gantt(tasks());
+    const matching = gantt.set_filter((task) => task.owner === 'bob');
+
+    expect(matching.map((task) => task.id)).toEqual(['b']);
+    expect(shown(gantt)).toEqual(['phase', 'b']);
+    expect(gantt.tasks).toHaveLength(4);
+    // arrows to hidden tasks are left out
+    expect(gantt.arrows).toHaveLength(0);
+
+    gantt.set_filter(null);
+    expect(shown(gantt)).toEqual(['phase', 'a', 'b', 'c']);
+    expect(gantt.arrows).toHaveLength(2);
+    expect(() => gantt.set_filter('bob')).toThrow();
+});
+
+test('Search: matches names ignoring case, together with the filter', () => {
+    const gantt = make_gantt(tasks());
+    expect(gantt.search('BUILD').map((task) => task.id)).toEqual(['b', 'c']);
+    expect(shown(gantt)).toEqual(['phase', 'b', 'c']);
+    expect(gantt.arrows).toHaveLength(1);
+
+    gantt.set_filter((task) => task.owner === 'ann');
+    expect(shown(gantt)).toEqual(['c']);
+
+    gantt.search('');
+    expect(shown(gantt)).toEqual(['phase', 'a', 'c']);
+});
+
+test('Filter: hidden tasks still move with their dependencies', () => {
+    const gantt = make_gantt(tasks(), { auto_schedule: true });
+    gantt.search('design');
+    gantt.update_task('a', { end: '2024-01-05' });
+
+    const b = gantt.get_task('b');
+    expect(b._start.getTime()).toBe(day('2024-01-06'));
+    expect(gantt.get_bar('b')).toBeUndefined();
+
+    gantt.search('');
+    expect(gantt.get_bar('b').$bar.getX()).toBe(gantt.date_to_x(b._start));
+});
@@ -0,0 +1,48 @@
+import { fire, make_gantt } from './dom';
+
+const tasks = () => [
+    { id: 'a', name: 'Design', start: '2024-01-01', end: '2024-01-02' },
+    {
+        id: 'b',
+        name: 'Build',
+        start: '2024-01-03',
+        end: '2024-01-05',
+        owner: 'ann',
+    },
+    {
+        id: 'c',
+        name: 'Test',
+        start: '2024-01-06',
+        end: '2024-01-07',
+        owner: 'ann',
+    },
+];
+
+test('Grouping: clicking a header in the chart collapses the group', () => {
+    const gantt = make_gantt(tasks(), { group_by: 'owner' });
+    const labels = gantt.$extras.querySelectorAll('.group-label');
+    expect([...labels].map(($label) => $label.textContent)).toEqual([
+        '▾ None',
+        '▾ ann',
+    ]);
+
+    fire(labels[1], 'click');
+    expect(gantt.rows).toHaveLength(3);
+    expect(gantt.get_bar('b')).toBeUndefined();
+
+    fire(gantt.$svg.querySelectorAll('.group-row')[1], 'click');
+    expect(gantt.rows).toHaveLength(5);
+    expect(gantt.get_bar('b')).toBeTruthy();
+});
+
+test('Grouping: filtered tasks are left out of the groups', () => {
+    const gantt = make_gantt(tasks(), {
+        group_by: 'owner',
+        show_task_grid: true,
+    });
+    gantt.search('test');
+
+    expect(gantt.groups.map((group) => group.key)).toEqual(['ann']);
+    const $count = gantt.task_grid.$pane.querySelector('.task-grid-count');
+    expect($count.textContent).toBe('1');
+});
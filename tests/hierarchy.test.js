@@ -0,0 +1,69 @@
+import { day, fire, make_gantt, make_plan } from './dom';
+
+const tasks = () => {
+    const list = make_plan();
+    list[1].progress = 50;
+    return list;
+};
+const rows = (gantt) => gantt.bars.map((bar) => bar.task.id);
+
+test('Hierarchy: summary bars span their children', () => {
+    const gantt = make_gantt(tasks());
+    const phase = gantt.get_task('phase');
+    expect(phase._start.getTime()).toBe(day('2024-01-01'));
+    expect(phase._end.getTime()).toBe(day('2024-01-06'));
+    // weighted by the duration of each child
+    expect(phase.progress).toBe(30);
+
+    const bar = gantt.get_bar('phase');
+    expect(bar.group.classList.contains('summary')).toBe(true);
+    expect(bar.$bar.getX()).toBe(gantt.get_bar('a').$bar.getX());
+    expect(bar.$bar.getEndX()).toBe(gantt.get_bar('b').$bar.getEndX());
+});
+
+test('Hierarchy: collapsing hides child rows and their arrows', () => {
+    const gantt = make_gantt(tasks());
+    expect(gantt.arrows).toHaveLength(2);
+
+    fire(gantt.get_bar('phase').$caret, 'click');
+    expect(gantt.get_task('phase').collapsed).toBe(true);
+    expect(rows(gantt)).toEqual(['phase', 'c']);
+    expect(gantt.get_bar('a')).toBeUndefined();
+    expect(gantt.arrows).toHaveLength(0);
+    expect(gantt.get_task('c')._index).toBe(1);
+
+    gantt.toggle_collapse('phase');
+    expect(rows(gantt)).toEqual(['phase', 'a', 'b', 'c']);
+    expect(gantt.arrows).toHaveLength(2);
+
+    // tasks can start collapsed
+    const list = tasks();
+    list[0].collapsed = true;
+    expect(rows(make_gantt(list))).toEqual(['phase', 'c']);
+});
+
+test('Hierarchy: summaries follow their children after update_task', () => {
+    const gantt = make_gantt(tasks());
+    gantt.update_task('b', { end: '2024-01-10' });
+    const phase = gantt.get_task('phase');
+    expect(phase._end.getTime()).toBe(day('2024-01-11'));
+    expect(gantt.get_bar('phase').$bar.getEndX()).toBe(
+        gantt.get_bar('b').$bar.getEndX(),
+    );
+
+    gantt.update_task('a', { start: '2023-12-30' });
+    expect(phase._start.getTime()).toBe(day('2023-12-30'));
+});
+
+test('Hierarchy: a summary goes once its last child is gone', () => {
+    const gantt = make_gantt(tasks());
+    const error = console.error;
+    console.error = () => {};
+    try {
+        gantt.refresh(tasks().filter((task) => task.parent !== 'phase'));
+    } finally {
+        console.error = error;
+    }
+    expect(gantt.get_task('phase')).toBeUndefined();
+    expect(rows(gantt)).toEqual(['c']);
+});
@@ -0,0 +1,52 @@
+import History from '../src/history';
+
+const counter = () => {
+    const state = { value: 0 };
+    const step = (by) => {
+        state.value += by;
+        return {
+            undo: () => (state.value -= by),
+            redo: () => (state.value += by),
+        };
+    };
+    return { state, step };
+};
+
+test('History: undoes and redoes commands in order', () => {
+    const history = new History();
+    const { state, step } = counter();
+    history.record(step(1));
+    history.record(step(2));
+
+    expect(history.undo()).toBe(true);
+    expect(state.value).toBe(1);
+    expect(history.can_redo()).toBe(true);
+    expect(history.undo()).toBe(true);
+    expect(history.undo()).toBe(false);
+    expect(state.value).toBe(0);
+
+    expect(history.redo()).toBe(true);
+    expect(state.value).toBe(1);
+    expect(history.can_undo()).toBe(true);
+});
+
+test('History: a new command drops the undone ones', () => {
+    const history = new History();
+    const { state, step } = counter();
+    history.record(step(1));
+    history.undo();
+    history.record(step(5));
+
+    expect(history.can_redo()).toBe(false);
+    expect(history.redo()).toBe(false);
+    expect(state.value).toBe(5);
+});
+
+test('History: keeps at most limit commands', () => {
+    const history = new History(2);
+    const { state, step } = counter();
+    for (let i = 0; i < 3; i++) history.record(step(1));
+
+    while (history.undo());
+    expect(state.value).toBe(1);
+});
@@ -0,0 +1,82 @@
+import { day, fire, make_gantt } from './dom';
+
+const tasks = () => [
+    {
+        id: 'a',
+        name: 'Design',
+        start: '2024-01-01',
+        end: '2024-01-03',
+        progress: 40,
+    },
+    {
+        id: 'b',
+        name: 'Build',
+        start: '2024-01-04',
+        end: '2024-01-05',
+        dependencies: 'a',
+    },
+    { id: 'm', name: 'Launch', start: '2024-01-08', type: 'milestone' },
+];
+test('Keyboard: bars are announced with their dates and progress', () => {
+    const gantt = make_gantt(tasks());
+    const label = (bar) => bar.group.getAttribute('aria-label');
+    expect(label(gantt.get_bar('a'))).toBe(
+        'Design, Jan 01, 2024 to Jan 03, 2024, 40% complete',
+    );
+    expect(label(gantt.get_bar('m'))).toBe('Launch, milestone on Jan 08, 2024');
+});
+
+test('Keyboard: aria_label replaces the announcement', () => {
+    const gantt = make_gantt(tasks(), {
+        aria_label: (task, chart) =>
+            `${task.name} (${chart.options.language}, ${task.progress || 0})`,
+    });
+    const $group = gantt.get_bar('a').group;
+    expect($group.getAttribute('aria-label')).toBe('Design (en, 40)');
+
+    gantt.update_task('a', { progress: 50 });
+    expect($group.getAttribute('aria-label')).toBe('Design (en, 50)');
+});
+
+test('Keyboard: arrows move the focus between rows', () => {
+    const gantt = make_gantt(tasks());
+    const $a = gantt.get_bar('a').group;
+    fire($a, 'keydown', { key: 'ArrowDown' });
+    expect(document.activeElement).toBe(gantt.get_bar('b').group);
+    fire(document.activeElement, 'keydown', { key: 'ArrowUp' });
+    expect(document.activeElement).toBe($a);
+});
+
+test('Keyboard: left and right move the task with its dependents', () => {
+    const gantt = make_gantt(tasks());
+    const $a = gantt.get_bar('a').group;
+    fire($a, 'keydown', { key: 'ArrowRight' });
+    fire($a, 'keydown', { key: 'ArrowRight' });
+
+    expect(gantt.get_task('a')._start.getTime()).toBe(day('2024-01-03'));
+    expect(gantt.get_task('b')._start.getTime()).toBe(day('2024-01-06'));
+
+    fire($a, 'keydown', { key: 'ArrowRight', shiftKey: true });
+    expect(gantt.get_task('a')._end.getTime()).toBe(day('2024-01-07'));
+
+    fire($a, 'keydown', { key: 'z', ctrlKey: true });
+    expect(gantt.get_task('a')._end.getTime()).toBe(day('2024-01-06'));
+});
+
+test('Keyboard: readonly charts ignore the move keys', () => {
+    const gantt = make_gantt(tasks(), { readonly: true });
+    fire(gantt.get_bar('a').group, 'keydown', { key: 'ArrowRight' });
+    expect(gantt.get_task('a')._start.getTime()).toBe(day('2024-01-01'));
+});
+
+test('Keyboard: Enter opens the popup and Escape closes it', () => {
+    const gantt = make_gantt(tasks());
+    const $a = gantt.get_bar('a').group;
+    fire($a, 'keydown', { key: 'Enter' });
+    const $popup = gantt.$container.querySelector('.popup-wrapper');
+    expect($popup.querySelector('.title').textContent).toBe('Design');
+    expect($popup.classList.contains('hide')).toBe(false);
+
+    fire($a, 'keydown', { key: 'Escape' });
+    expect($popup.classList.contains('hide')).toBe(true);
+});
@@ -0,0 +1,149 @@
+import { fire, make_gantt } from './dom';
+
+const tasks = () => [
+    { id: 'a', name: 'A', start: '2024-01-01', end: '2024-01-03' },
+    { id: 'b', name: 'B', start: '2024-01-04', end: '2024-01-05' },
+    { id: 'c', name: 'C', start: '2024-01-06', end: '2024-01-07' },
+];
+const linked = () => {
+    const list = tasks();
+    list[1].dependencies = 'a:SS';
+    list[2].dependencies = 'b';
+    return list;
+};
+const links = (gantt) =>
+    gantt.arrows.map(
+        (arrow) =>
+            `${arrow.from_task.task.id}>${arrow.to_task.task.id}:${arrow.type}`,
+    );
+
+// drag from a connector of one bar and drop on `$drop`, which jsdom can't
+// find by position
+function link(gantt, from_id, side, $drop) {
+    const $connector = gantt
+        .get_bar(from_id)
+        .group.querySelector('.connector.' + side);
+    const position = {
+        clientX: +$connector.getAttribute('cx'),
+        clientY: +$connector.getAttribute('cy'),
+    };
+    const element_from_point = document.elementFromPoint;
+    document.elementFromPoint = () => $drop;
+    fire($connector, 'pointerdown', position);
+    fire(gantt.$svg, 'pointermove', { ...position, clientX: 300 });
+    const $preview = gantt.$svg.querySelector('.dependency-preview');
+    fire(gantt.$svg, 'pointerup', { ...position, clientX: 300 });
+    document.elementFromPoint = element_from_point;
+    return $preview;
+}
+
+test('Links: dragging between connectors adds a dependency', () => {
+    const added = [];
+    const gantt = make_gantt(tasks(), {
+        on_dependency_add: (from, to, type) =>
+            added.push(`${from.id}>${to.id}:${type}`),
+    });
+    const $preview = link(gantt, 'a', 'end', gantt.get_bar('b').$bar);
+
+    expect($preview.getAttribute('d')).toContain('L 300');
+    expect($preview.isConnected).toBe(false);
+    expect(added).toEqual(['a>b:FS']);
+    expect(links(gantt)).toEqual(['a>b:FS']);
+    expect(gantt.dependency_map.a.map((l) => l.to)).toEqual(['b']);
+    expect(gantt.get_task('b').dependencies).toEqual(['a']);
+
+    // the connector dropped on picks the type
+    const $end = gantt.get_bar('c').group.querySelector('.connector.end');
+    link(gantt, 'b', 'start', $end);
+    expect(links(gantt)).toEqual(['a>b:FS', 'b>c:SF']);
+});
+
+test('Links: on_dependency_add can refuse the link', () => {
+    const gantt = make_gantt(tasks(), { on_dependency_add: () => false });
+    link(gantt, 'a', 'end', gantt.get_bar('b').$bar);
+    expect(gantt.arrows).toHaveLength(0);
+    expect(gantt.get_task('b')._dependencies).toHaveLength(0);
+});
+
+test('Links: the drag ends on the chart, not the document', () => {
+    const gantt = make_gantt(tasks());
+    const $connector = gantt.get_bar('a').group.querySelector('.connector');
+    fire($connector, 'pointerdown');
+    expect(gantt.$svg.classList.contains('linking')).toBe(true);
+
+    fire(gantt.$svg, 'pointercancel');
+    expect(gantt.$svg.classList.contains('linking')).toBe(false);
+    expect(gantt.$svg.querySelector('.dependency-preview')).toBeNull();
+    expect(gantt.arrows).toHaveLength(0);
+
+    // and nothing is left listening on the document
+    const types = [];
+    const add = document.addEventListener;
+    document.addEventListener = (type, ...rest) => {
+        types.push(type);
+        add.call(document, type, ...rest);
+    };
+    try {
+        gantt.bind_dependency_drag();
+    } finally {
+        document.addEventListener = add;
+    }
+    expect(types).toEqual([]);
+});
+
+test('Links: loops, duplicates and empty drops are refused', () => {
+    const calls = [];
+    const gantt = make_gantt(tasks(), {
+        on_dependency_add: (from, to) => calls.push(to.id),
+    });
+    link(gantt, 'a', 'end', gantt.get_bar('b').$bar);
+    link(gantt, 'a', 'end', gantt.get_bar('b').$bar);
+    link(gantt, 'b', 'end', gantt.get_bar('a').$bar);
+    link(gantt, 'a', 'end', gantt.$svg);
+    link(gantt, 'a', 'end', gantt.get_bar('a').$bar);
+
+    expect(calls).toEqual(['b']);
+    expect(links(gantt)).toEqual(['a>b:FS']);
+});
+
+test('Links: readonly bars have no connectors', () => {
+    const gantt = make_gantt(tasks(), { readonly: true });
+    expect(gantt.$svg.querySelector('.connector')).toBeNull();
+});
+
+test('Arrows: clicking selects the arrow and Delete removes its link', () => {
+    const events = [];
+    const gantt = make_gantt(linked(), {
+        on_dependency_click: (from, to, type) =>
+            events.push(`click ${from.id}>${to.id}:${type}`),
+        on_dependency_remove: (from, to, type) =>
+            events.push(`remove ${from.id}>${to.id}:${type}`),
+    });
+    const $arrow = gantt.arrows[0].element;
+    fire($arrow.querySelector('.arrow-hit'), 'click');
+    expect($arrow.classList.contains('selected')).toBe(true);
+    expect(gantt.selected_arrow.element).toBe($arrow);
+
+    fire(gantt.$container, 'keydown', { key: 'Delete' });
+    expect(events).toEqual(['click a>b:SS', 'remove a>b:SS']);
+    expect(links(gantt)).toEqual(['b>c:FS']);
+    expect(gantt.get_task('b')._dependencies).toHaveLength(0);
+    expect(gantt.selected_arrow).toBeNull();
+});
+
+test('Arrows: on_dependency_remove can keep the link', () => {
+    const gantt = make_gantt(linked(), { on_dependency_remove: () => false });
+    fire(gantt.arrows[1].element, 'click');
+    fire(gantt.$container, 'keydown', { key: 'Backspace' });
+    expect(links(gantt)).toEqual(['a>b:SS', 'b>c:FS']);
+});
+
+test('Arrows: readonly charts only drop links through the API', () => {
+    const gantt = make_gantt(linked(), { readonly: true });
+    fire(gantt.arrows[0].element, 'click');
+    fire(gantt.$container, 'keydown', { key: 'Delete' });
+    expect(links(gantt)).toEqual(['a>b:SS', 'b>c:FS']);
+
+    expect(gantt.remove_dependency('b', 'c').from).toBe('b');
+    expect(links(gantt)).toEqual(['a>b:SS']);
+});
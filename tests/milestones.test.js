@@ -0,0 +1,90 @@
+import { day, drag, make_gantt } from './dom';
+
+const tasks = () => [
+    { id: 'a', name: 'A', start: '2024-01-01', end: '2024-01-03' },
+    { id: 'm', name: 'Launch', start: '2024-01-05', dependencies: 'a' },
+    { id: 'z', name: 'Review', start: '2024-01-05', duration: '0d' },
+    {
+        id: 'b',
+        name: 'B',
+        start: '2024-01-08',
+        end: '2024-01-09',
+        dependencies: 'm',
+    },
+];
+test('Milestones: tasks without a duration are drawn as diamonds', () => {
+    const gantt = make_gantt(tasks());
+    const { column_width } = gantt.config;
+    const a_x = gantt.get_bar('a').$bar.getX();
+
+    for (let id of ['m', 'z']) {
+        const bar = gantt.get_bar(id);
+        expect(bar.task.type).toBe('milestone');
+        expect(bar.task._end.getTime()).toBe(day('2024-01-05'));
+        expect(bar.group.classList.contains('milestone')).toBe(true);
+        // centred on its date
+        const $bar = bar.$bar;
+        expect($bar.getWidth()).toBe(bar.height);
+        expect($bar.getX() + $bar.getWidth() / 2).toBe(a_x + 4 * column_width);
+    }
+    expect(gantt.get_task('a').type).toBeUndefined();
+});
+
+test('Milestones: arrows connect to the diamonds', () => {
+    const gantt = make_gantt(tasks());
+    const links = gantt.arrows.map(
+        (arrow) => `${arrow.from_task.task.id}>${arrow.to_task.task.id}`,
+    );
+    expect(links).toEqual(['a>m', 'm>b']);
+
+    // and follow them when they move
+    const paths = gantt.arrows.map((arrow) => arrow.path);
+    drag(gantt.get_bar('m').$bar, [[gantt.config.column_width, 0]]);
+    gantt.arrows.forEach((arrow, i) => expect(arrow.path).not.toBe(paths[i]));
+});
+
+test('Milestones: they can be dragged but not resized', () => {
+    const changes = [];
+    const gantt = make_gantt(tasks(), {
+        on_date_change: (task) => changes.push(task.id),
+    });
+    const bar = gantt.get_bar('m');
+    expect(bar.group.querySelector('.handle')).toBeNull();
+
+    drag(bar.$bar, [[2 * gantt.config.column_width, 0]]);
+    const task = gantt.get_task('m');
+    expect(task._start.getTime()).toBe(day('2024-01-07'));
+    expect(task._end.getTime()).toBe(task._start.getTime());
+    expect(task.type).toBe('milestone');
+    expect(changes[0]).toBe('m');
+});
+
+test('Milestones: tasks given a duration later become bars', () => {
+    const gantt = make_gantt(tasks());
+    gantt.update_task('m', { end: '2024-01-06' });
+    const bar = gantt.get_bar('m');
+    expect(bar.task.type).toBeUndefined();
+    expect(bar.task._end.getTime()).toBe(day('2024-01-07'));
+    expect(bar.group.classList.contains('milestone')).toBe(false);
+    expect(bar.$bar.getWidth()).toBe(2 * gantt.config.column_width);
+
+    gantt.update_task('z', { duration: '2d' });
+    expect(gantt.get_task('z').type).toBeUndefined();
+
+    // unlike tasks set to be milestones
+    const list = tasks();
+    list[0].type = 'milestone';
+    const typed = make_gantt(list);
+    typed.update_task('a', { end: '2024-01-04' });
+    expect(typed.get_task('a').type).toBe('milestone');
+});
+
+test('Milestones: zero-length tasks stay milestones after refresh', () => {
+    const list = tasks();
+    const gantt = make_gantt(list);
+    gantt.refresh(list);
+    const task = gantt.get_task('z');
+    expect(task.type).toBe('milestone');
+    expect(task._end.getTime()).toBe(day('2024-01-05'));
+    expect(task.end).toBeUndefined();
+});
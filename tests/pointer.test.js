@@ -0,0 +1,110 @@
+import { day, drag, fire, make_gantt, make_pair } from './dom';
+
+// run `fn` with timers held back, and return the callbacks still pending
+function hold_timers(fn) {
+    const { setTimeout, clearTimeout } = globalThis;
+    const pending = new Map();
+    let id = 0;
+    globalThis.setTimeout = (callback) => pending.set(++id, callback) && id;
+    globalThis.clearTimeout = (id) => pending.delete(id);
+    try {
+        fn();
+    } finally {
+        Object.assign(globalThis, { setTimeout, clearTimeout });
+    }
+    return [...pending.values()];
+}
+
+test('Pointer: handles resize the bar and set its progress', () => {
+    const gantt = make_gantt(make_pair());
+    const bar = gantt.get_bar('a');
+    const width = gantt.config.column_width;
+    drag(bar.group.querySelector('.handle.right'), [[width, 0]]);
+    expect(gantt.get_task('a')._end.getTime()).toBe(day('2024-01-05'));
+
+    drag(bar.group.querySelector('.handle.left'), [[-width, 0]]);
+    expect(gantt.get_task('a')._start.getTime()).toBe(day('2023-12-31'));
+
+    drag(bar.group.querySelector('.handle.progress'), [[width, 0]]);
+    expect(gantt.get_task('a').progress).toBe(20);
+});
+
+test('Pointer: a touch has to be held before it drags', () => {
+    const gantt = make_gantt(make_pair());
+    const $bar = gantt.get_bar('b').$bar;
+    const touch = { pointerType: 'touch', pointerId: 2 };
+    const width = gantt.config.column_width;
+
+    // swiping right away scrolls instead
+    const swiped = hold_timers(() =>
+        drag($bar, [[width, 0]], { ...touch, clientX: 100 }),
+    );
+    expect(swiped).toHaveLength(0);
+    expect(gantt.get_task('b')._start.getTime()).toBe(day('2024-01-04'));
+
+    const start = { ...touch, clientX: 100, clientY: 100 };
+    const [press] = hold_timers(() => fire($bar, 'pointerdown', start));
+    press();
+    expect(gantt.pointer_captured).toBe(true);
+    fire($bar, 'pointermove', { ...start, clientX: 100 + width });
+    fire($bar, 'pointerup', { ...start, clientX: 100 + width });
+    expect(gantt.get_task('b')._start.getTime()).toBe(day('2024-01-05'));
+});
+
+test('Pointer: pinching with two fingers zooms', () => {
+    const gantt = make_gantt(make_pair());
+    const $container = gantt.$container;
+    const pinch = (from, to) => {
+        hold_timers(() => {
+            for (let [id, x] of [
+                [1, 100 - from],
+                [2, 100 + from],
+            ])
+                fire($container, 'pointerdown', {
+                    pointerType: 'touch',
+                    pointerId: id,
+                    clientX: x,
+                });
+            fire($container, 'pointermove', {
+                pointerType: 'touch',
+                pointerId: 2,
+                clientX: 100 + to,
+            });
+            for (let id of [1, 2])
+                fire($container, 'pointerup', {
+                    pointerType: 'touch',
+                    pointerId: id,
+                });
+        });
+    };
+
+    pinch(20, 60);
+    expect(gantt.config.view_mode.name).toBe('Half Day');
+    pinch(60, 10);
+    expect(gantt.config.view_mode.name).toBe('Day');
+    pinch(40, 45);
+    expect(gantt.config.view_mode.name).toBe('Day');
+});
+
+test('Pointer: charts listen on their own elements, not the document', () => {
+    const types = [];
+    const add = document.addEventListener;
+    document.addEventListener = (type, ...rest) => {
+        types.push(type);
+        add.call(document, type, ...rest);
+    };
+    let gantt;
+    try {
+        gantt = make_gantt(make_pair());
+    } finally {
+        document.addEventListener = add;
+    }
+    expect(types).toEqual([]);
+
+    // a press on a row that leaves the chart doesn't turn into a lasso later
+    const $row = gantt.$svg.querySelector('.grid-row');
+    fire($row, 'pointerdown', { clientX: 100, clientY: 100 });
+    fire(gantt.$svg, 'pointerleave');
+    fire(gantt.$svg, 'pointermove', { clientX: 300, clientY: 200 });
+    expect(gantt.$svg.querySelector('.selection-lasso')).toBeNull();
+});
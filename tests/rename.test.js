@@ -0,0 +1,54 @@
+import { fire, make_gantt, make_plan } from './dom';
+
+// double click the label of a bar, returning the input that replaces it
+function rename(gantt, id) {
+    const $label = gantt.get_bar(id).group.querySelector('.bar-label');
+    fire($label, 'dblclick');
+    return gantt.$container.querySelector('.bar-label-input');
+}
+
+test('Rename: Enter applies the name typed over the label', () => {
+    const events = [];
+    const gantt = make_gantt(make_plan(), {
+        on_double_click: (task) => events.push('double_click ' + task.id),
+        on_name_change: (task, name) => events.push(`name_change ${name}`),
+    });
+    const bar = gantt.get_bar('c');
+    const $input = rename(gantt, 'c');
+    expect($input.value).toBe('C');
+    expect($input.style.left).toBe(bar.$bar.getX() + 'px');
+    expect($input.style.width).toBe(bar.$bar.getWidth() + 'px');
+    expect(bar.group.classList.contains('editing')).toBe(true);
+
+    $input.value = '  Ship ';
+    fire($input, 'keydown', { key: 'Enter' });
+    expect($input.isConnected).toBe(false);
+    expect(bar.group.classList.contains('editing')).toBe(false);
+    expect(gantt.get_task('c').name).toBe('Ship');
+    expect(bar.group.querySelector('.bar-label').textContent).toBe('Ship');
+    expect(events).toEqual(['double_click c', 'name_change Ship']);
+});
+
+test('Rename: Escape, empty names and readonly charts keep the name', () => {
+    const names = [];
+    const gantt = make_gantt(make_plan(), {
+        on_name_change: (task, name) => names.push(name),
+    });
+    let $input = rename(gantt, 'c');
+    $input.value = 'Ship';
+    fire($input, 'keydown', { key: 'Escape' });
+    expect($input.isConnected).toBe(false);
+
+    $input = rename(gantt, 'c');
+    $input.value = ' ';
+    fire($input, 'keydown', { key: 'Enter' });
+    expect(gantt.get_task('c').name).toBe('C');
+    expect(names).toHaveLength(0);
+
+    // only the label starts a rename
+    fire(gantt.get_bar('c').$bar, 'dblclick');
+    expect(gantt.$container.querySelector('.bar-label-input')).toBeNull();
+
+    const readonly = make_gantt(make_plan(), { readonly: true });
+    expect(rename(readonly, 'c')).toBeNull();
+});
@@ -0,0 +1,55 @@
+import { drag, fire, make_gantt, make_plan } from './dom';
+
+const order = (gantt) => gantt.tasks.map((task) => task.id);
+// y of the middle of a row, in rows from the top
+const row_y = (gantt, row) =>
+    gantt.config.header_height + row * gantt.config.row_height;
+
+test('Reorder: dragging a bar up moves its row before its siblings', () => {
+    const reordered = [];
+    const gantt = make_gantt(make_plan(), {
+        on_row_reorder: (task, tasks) =>
+            reordered.push([task.id, tasks.map((t) => t.id)]),
+    });
+    const bar = gantt.get_bar('c');
+    const start = { clientX: bar.$bar.getX() + 5, clientY: row_y(gantt, 3.5) };
+    fire(bar.$bar, 'pointerdown', start);
+    fire(bar.$bar, 'pointermove', { ...start, clientY: row_y(gantt, 0.2) });
+    const $line = gantt.$svg.querySelector('.row-drop-indicator');
+    expect(+$line.getAttribute('y1')).toBe(row_y(gantt, 0));
+    fire(bar.$bar, 'pointerup', { ...start, clientY: row_y(gantt, 0.2) });
+
+    expect(gantt.$svg.querySelector('.row-drop-indicator')).toBeNull();
+    expect(order(gantt)).toEqual(['c', 'phase', 'a', 'b']);
+    expect(reordered).toEqual([['c', ['c', 'phase', 'a', 'b']]]);
+    expect(gantt.get_task('c')._index).toBe(0);
+    expect(gantt.get_task('b')._index).toBe(3);
+    // the bar keeps its dates and moves to the new row
+    expect(gantt.get_task('c').start).toBe('2024-01-08');
+    const moved = gantt.get_bar('c');
+    expect(moved.$bar.getY()).toBe(moved.y);
+    expect(moved.$bar.getY()).toBeLessThan(gantt.get_bar('phase').$bar.getY());
+});
+
+test('Reorder: grid rows move among their siblings only', () => {
+    const gantt = make_gantt(make_plan(), { show_task_grid: true });
+    const $row = gantt.task_grid.$body.querySelector(
+        '.task-grid-row[data-id="a"]',
+    );
+    drag($row, [[0, 4 * gantt.config.row_height]], {
+        clientY: row_y(gantt, 1.5),
+    });
+    expect(order(gantt)).toEqual(['phase', 'b', 'a', 'c']);
+    expect(gantt.get_task('a')._index).toBe(2);
+});
+
+test('Reorder: rows stay put with sort_by or readonly', () => {
+    for (let options of [{ sort_by: 'name' }, { readonly: true }]) {
+        const gantt = make_gantt(make_plan(), options);
+        const bar = gantt.get_bar('c');
+        drag(bar.$bar, [[0, -3 * gantt.config.row_height]], {
+            clientY: row_y(gantt, 3.5),
+        });
+        expect(order(gantt)).toEqual(['phase', 'a', 'b', 'c']);
+    }
+});
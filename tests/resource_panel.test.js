@@ -0,0 +1,56 @@
+import { compute_resource_load } from '../src/resource_panel';
+import date_utils from '../src/date_utils';
+import { day, make_gantt, make_pair } from './dom';
+
+test('Resource load: sums units per day', () => {
+    const load = compute_resource_load([
+        {
+            _start: date_utils.parse('2024-01-01'),
+            _end: date_utils.parse('2024-01-03'),
+            resources: [{ id: 'ana', units: 0.5 }, 'ben'],
+        },
+        {
+            _start: date_utils.parse('2024-01-02'),
+            _end: date_utils.parse('2024-01-04'),
+            resources: [{ id: 'ana', units: 1 }],
+        },
+    ]);
+
+    expect(load.ana[day('2024-01-01')]).toBe(0.5);
+    expect(load.ana[day('2024-01-02')]).toBe(1.5);
+    expect(load.ana[day('2024-01-03')]).toBe(1);
+    expect(load.ben[day('2024-01-02')]).toBe(1);
+    expect(load.ben[day('2024-01-03')]).toBeUndefined();
+});
+
+test('Resource load: skips ignored dates and summary tasks', () => {
+    const child = {
+        _start: date_utils.parse('2024-01-05'),
+        _end: date_utils.parse('2024-01-09'),
+        resources: ['ana'],
+    };
+    const summary = { ...child, _children: [child] };
+    const is_weekend = (d) => d.getDay() === 0 || d.getDay() === 6;
+    const load = compute_resource_load([summary, child], is_weekend);
+
+    expect(Object.keys(load.ana)).toHaveLength(2);
+    expect(load.ana[day('2024-01-05')]).toBe(1);
+    expect(load.ana[day('2024-01-08')]).toBe(1);
+});
+
+test('Resource panel: tasks naming new resources get rows', () => {
+    const list = make_pair();
+    list[0].resources = ['ana'];
+    const gantt = make_gantt(list, { show_resources: true });
+    const panel = gantt.resource_panel;
+    const height = +gantt.$svg.getAttribute('height');
+    expect(panel.resources.map((r) => r.id)).toEqual(['ana']);
+
+    gantt.update_task('b', { resources: ['ben'] });
+    gantt.update_task('a', { resources: ['cy', 'ana'] });
+    expect(panel.resources.map((r) => r.id)).toEqual(['cy', 'ana', 'ben']);
+    expect(panel.$labels).toHaveLength(3);
+    expect(+gantt.$svg.getAttribute('height')).toBe(
+        height + 2 * panel.row_height,
+    );
+});
@@ -0,0 +1,54 @@
+import { get_comparator, group_tasks } from '../src/rows';
+
+const tasks = [
+    { id: 'a', name: 'Task 10', _start: new Date('2024-01-03'), owner: 'ann' },
+    { id: 'b', name: 'Task 9', _start: new Date('2024-01-01') },
+    { id: 'c', name: 'Task 2', _start: new Date('2024-01-02'), owner: 'bob' },
+    { id: 'd', _start: new Date('2024-01-02'), owner: 'ann' },
+];
+const ids = (list) => list.map((task) => task.id);
+
+test('Rows: keeps the order without sort_by', () => {
+    expect(get_comparator(null)).toBe(null);
+});
+
+test('Rows: sorts by dates and names', () => {
+    expect(ids([...tasks].sort(get_comparator('start')))).toEqual([
+        'b',
+        'c',
+        'd',
+        'a',
+    ]);
+    // numbers within names are compared by value, tasks without one go last
+    expect(ids([...tasks].sort(get_comparator('name')))).toEqual([
+        'c',
+        'b',
+        'a',
+        'd',
+    ]);
+    expect(ids([...tasks].sort(get_comparator('-name')))).toEqual([
+        'a',
+        'b',
+        'c',
+        'd',
+    ]);
+});
+
+test('Rows: uses custom comparators as they are', () => {
+    const compare = (a, b) => b.id.localeCompare(a.id);
+    expect(get_comparator(compare)).toBe(compare);
+});
+
+test('Rows: groups tasks in the order their values appear', () => {
+    const groups = group_tasks(tasks, 'owner');
+    expect(groups.map(({ key, tasks }) => [key, ids(tasks)])).toEqual([
+        ['ann', ['a', 'd']],
+        ['', ['b']],
+        ['bob', ['c']],
+    ]);
+    expect(
+        group_tasks(tasks, (task) => task._start.getDate() > 1).map(
+            ({ key }) => key,
+        ),
+    ).toEqual(['true', 'false']);
+});
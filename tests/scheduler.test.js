@@ -0,0 +1,180 @@
+import {
+    compute_critical_path,
+    get_constraint_violations,
+    schedule_tasks,
+    topological_order,
+} from '../src/scheduler';
+import date_utils from '../src/date_utils';
+
+function make_tasks(defs) {
+    const tasks = defs.map(([id, start, end, deps = []]) => ({
+        id,
+        _start: date_utils.parse(start),
+        _end: date_utils.parse(end),
+        _dependencies: deps.map(([from, type = 'FS', lag = '0d']) => ({
+            from,
+            to: id,
+            type,
+            lag,
+        })),
+    }));
+    const dependency_map = {};
+    for (let task of tasks) {
+        for (let link of task._dependencies) {
+            dependency_map[link.from] = dependency_map[link.from] || [];
+            dependency_map[link.from].push(link);
+        }
+    }
+    return { tasks, dependency_map };
+}
+
+test('Critical path: chain with a parallel task that has float', () => {
+    const { tasks, dependency_map } = make_tasks([
+        ['a', '2024-01-01', '2024-01-03'],
+        ['b', '2024-01-03', '2024-01-08', [['a']]],
+        ['c', '2024-01-03', '2024-01-05', [['a']]],
+        ['d', '2024-01-08', '2024-01-10', [['b'], ['c']]],
+    ]);
+    const info = compute_critical_path(tasks, dependency_map);
+
+    expect(info.a.critical).toBe(true);
+    expect(info.b.critical).toBe(true);
+    expect(info.d.critical).toBe(true);
+    expect(info.c.critical).toBe(false);
+    expect(info.c.total_float).toBe(3);
+    expect(info.c.late_finish.getTime()).toBe(
+        date_utils.parse('2024-01-08').getTime(),
+    );
+});
+
+test('Critical path: summary tasks are left out', () => {
+    const { tasks, dependency_map } = make_tasks([
+        ['phase', '2024-01-01', '2024-01-06'],
+        ['a', '2024-01-01', '2024-01-03'],
+        ['b', '2024-01-03', '2024-01-06', [['a']]],
+        ['c', '2024-01-01', '2024-01-02'],
+    ]);
+    tasks[0]._children = [tasks[1], tasks[2]];
+    const info = compute_critical_path(tasks, dependency_map);
+
+    expect(info.phase).toBeUndefined();
+    expect(info.a.critical).toBe(true);
+    expect(info.b.critical).toBe(true);
+    expect(info.c.critical).toBe(false);
+});
+
+test('Critical path: lag and link types move the early dates', () => {
+    const { tasks, dependency_map } = make_tasks([
+        ['a', '2024-01-01', '2024-01-05'],
+        ['b', '2024-01-01', '2024-01-03', [['a', 'SS', '2d']]],
+        ['c', '2024-01-01', '2024-01-02', [['a', 'FF', '1d']]],
+    ]);
+    const info = compute_critical_path(tasks, dependency_map);
+
+    expect(info.b.early_start.getTime()).toBe(
+        date_utils.parse('2024-01-03').getTime(),
+    );
+    expect(info.c.early_finish.getTime()).toBe(
+        date_utils.parse('2024-01-06').getTime(),
+    );
+    expect(info.c.critical).toBe(true);
+    expect(info.b.total_float).toBe(1);
+});
+
+test('Topological order: tasks in a cycle are left out', () => {
+    const { tasks, dependency_map } = make_tasks([
+        ['a', '2024-01-01', '2024-01-02'],
+        ['b', '2024-01-02', '2024-01-03', [['a'], ['c']]],
+        ['c', '2024-01-03', '2024-01-04', [['b']]],
+    ]);
+    expect(
+        topological_order(tasks, dependency_map).map((task) => task.id),
+    ).toEqual(['a']);
+});
+
+test('Schedule: successors move only as far as their links require', () => {
+    const { tasks, dependency_map } = make_tasks([
+        ['a', '2024-01-01', '2024-01-06'],
+        ['b', '2024-01-03', '2024-01-05', [['a']]],
+        ['c', '2024-01-08', '2024-01-09', [['b']]],
+        ['d', '2024-01-04', '2024-01-05', [['b', 'SS', '1d']]],
+    ]);
+    const changes = schedule_tasks(tasks, dependency_map);
+    const moved = {};
+    for (let { task, start, end } of changes) {
+        moved[task.id] = [start.getTime(), end.getTime()];
+    }
+
+    expect(moved.b).toEqual([
+        date_utils.parse('2024-01-06').getTime(),
+        date_utils.parse('2024-01-08').getTime(),
+    ]);
+    // the gap before c absorbs the move of b
+    expect(moved.c).toBeUndefined();
+    expect(moved.d).toEqual([
+        date_utils.parse('2024-01-07').getTime(),
+        date_utils.parse('2024-01-08').getTime(),
+    ]);
+});
+
+test('Schedule: minute lags move successors by minutes', () => {
+    const { tasks, dependency_map } = make_tasks([
+        ['a', '2024-01-01', '2024-01-02'],
+        ['b', '2024-01-01', '2024-01-02', [['a', 'FS', '30min']]],
+    ]);
+    const [change] = schedule_tasks(tasks, dependency_map);
+
+    expect(change.start.getTime()).toBe(
+        date_utils.parse('2024-01-02 00:30').getTime(),
+    );
+});
+
+test('Schedule: moved tasks skip ignored dates', () => {
+    const { tasks, dependency_map } = make_tasks([
+        ['a', '2024-01-01', '2024-01-06'],
+        ['b', '2024-01-02', '2024-01-04', [['a']]],
+    ]);
+    // 2024-01-06 and 2024-01-07 are a weekend
+    const is_weekend = (d) => d.getDay() === 0 || d.getDay() === 6;
+    const [change] = schedule_tasks(tasks, dependency_map, is_weekend);
+
+    expect(change.start.getTime()).toBe(
+        date_utils.parse('2024-01-08').getTime(),
+    );
+    expect(change.end.getTime()).toBe(date_utils.parse('2024-01-10').getTime());
+});
+
+test('Schedule: start constraints push or pin tasks', () => {
+    const { tasks, dependency_map } = make_tasks([
+        ['a', '2024-01-01', '2024-01-03'],
+        ['b', '2024-01-01', '2024-01-02', [['a']]],
+    ]);
+    tasks[0]._constraints = {
+        start_no_earlier_than: date_utils.parse('2024-01-02'),
+    };
+    tasks[1]._constraints = { must_start_on: date_utils.parse('2024-01-01') };
+    const changes = schedule_tasks(tasks, dependency_map);
+
+    expect(changes.map(({ task }) => task.id)).toEqual(['a']);
+    expect(changes[0].start.getTime()).toBe(
+        date_utils.parse('2024-01-02').getTime(),
+    );
+});
+
+test('Constraints: lists the broken constraints and deadline', () => {
+    const task = {
+        _start: date_utils.parse('2024-01-02'),
+        _end: date_utils.parse('2024-01-06'),
+        _constraints: {
+            start_no_earlier_than: date_utils.parse('2024-01-01'),
+            finish_no_later_than: date_utils.parse('2024-01-05'),
+            must_start_on: date_utils.parse('2024-01-02'),
+        },
+        _deadline: date_utils.parse('2024-01-04'),
+    };
+    expect(get_constraint_violations(task)).toEqual([
+        'finish_no_later_than',
+        'deadline',
+    ]);
+    expect(get_constraint_violations({ _start: task._start })).toEqual([]);
+});
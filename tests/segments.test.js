@@ -0,0 +1,44 @@
+import Gantt from '../src/index';
+import { make_gantt } from './dom';
+
+const tasks = () => [
+    {
+        id: 'ops/1 (night)',
+        name: 'Night shifts',
+        segments: [
+            { start: '2024-01-01', end: '2024-01-02' },
+            { start: '2024-01-05', end: '2024-01-06' },
+        ],
+        progress: 50,
+    },
+];
+
+// the element a `url(#id)` attribute points to
+const get_target = ($svg, $el) => {
+    const id = /^url\(#(.+)\)$/.exec($el.getAttribute('clip-path'))[1];
+    return $svg.querySelector(`[id="${id}"]`);
+};
+
+test('Segments: clip paths use safe ids', () => {
+    const gantt = make_gantt(tasks());
+    const bar = gantt.bars[0];
+    expect(/^[\w-]+$/.test(bar.get_svg_id('segments'))).toBe(true);
+
+    const $clip = get_target(gantt.$svg, bar.$bar_progress);
+    expect($clip.tagName).toBe('clipPath');
+    const refs = [...$clip.children].map(($use) =>
+        $use.getAttribute('href').slice(1),
+    );
+    expect(refs).toEqual(bar.$segments.map(($segment) => $segment.id));
+});
+
+test('Segments: ids differ between charts on a page', () => {
+    const first = make_gantt(tasks());
+    const $second = document.createElement('div');
+    document.body.appendChild($second);
+    const second = new Gantt($second, tasks(), { view_mode: 'Day' });
+
+    const id = first.bars[0].get_svg_id('segments');
+    expect(second.bars[0].get_svg_id('segments')).not.toBe(id);
+    expect(document.querySelectorAll(`[id="${id}"]`)).toHaveLength(1);
+});
@@ -0,0 +1,72 @@
+import date_utils from '../src/date_utils';
+import { animateSVG } from '../src/svg_utils';
+import { day, drag, fire, make_gantt } from './dom';
+
+const tasks = () => [
+    { id: 'a', name: 'A', start: '2024-01-01', end: '2024-01-03' },
+    { id: 'b', name: 'B', start: '2024-01-02', end: '2024-01-04' },
+    { id: 'c', name: 'C', start: '2024-01-08', end: '2024-01-09' },
+];
+const selected = (gantt) => gantt.get_selected().map((task) => task.id);
+test('Selection: clicks select bars, Shift and Ctrl add or remove', () => {
+    const changes = [];
+    const gantt = make_gantt(tasks(), {
+        on_selection_change: (tasks) => changes.push(tasks.length),
+    });
+    fire(gantt.get_bar('a').$bar, 'click');
+    expect(selected(gantt)).toEqual(['a']);
+
+    fire(gantt.get_bar('c').$bar, 'click', { shiftKey: true });
+    expect(selected(gantt)).toEqual(['a', 'c']);
+    expect(gantt.get_bar('c').group.classList.contains('selected')).toBe(true);
+
+    fire(gantt.get_bar('a').$bar, 'click', { ctrlKey: true });
+    expect(selected(gantt)).toEqual(['c']);
+    expect(changes).toEqual([1, 2, 1]);
+});
+
+test('Selection: clicks fired by animations are ignored', () => {
+    const gantt = make_gantt(tasks());
+    fire(gantt.get_bar('a').$bar, 'click');
+    const bar = gantt.get_bar('b');
+
+    // elements animated before replay the animation with a click
+    const clicks = [];
+    gantt.$svg.addEventListener('click', (e) => clicks.push(e.target));
+    animateSVG(bar.$bar_progress, 'width', 0, 20);
+
+    expect(clicks).toHaveLength(1);
+    expect(clicks[0]).toBe(bar.$bar_progress);
+    expect(selected(gantt)).toEqual(['a']);
+});
+
+test('Selection: the lasso selects the bars it touches', () => {
+    const gantt = make_gantt(tasks());
+    const $row = gantt.$svg.querySelector('.grid-row');
+    const x = gantt.date_to_x(date_utils.parse('2024-01-03'));
+    const y = gantt.config.header_height + 5;
+    drag($row, [[20, 2 * gantt.config.row_height]], { clientX: x, clientY: y });
+
+    expect(selected(gantt)).toEqual(['a', 'b']);
+    expect(gantt.$svg.querySelector('.selection-lasso')).toBeNull();
+
+    drag($row, [[200, 2.5 * gantt.config.row_height]], {
+        clientX: gantt.date_to_x(date_utils.parse('2024-01-07')),
+        clientY: y,
+        shiftKey: true,
+    });
+    expect(selected(gantt)).toEqual(['a', 'b', 'c']);
+});
+
+test('Selection: dragging a selected bar moves the others too', () => {
+    const gantt = make_gantt(tasks());
+    gantt.set_selection(['a', 'c']);
+    drag(gantt.get_bar('a').$bar, [[gantt.config.column_width, 0]]);
+
+    expect(gantt.get_task('a')._start.getTime()).toBe(day('2024-01-02'));
+    expect(gantt.get_task('c')._start.getTime()).toBe(day('2024-01-09'));
+    expect(gantt.get_task('b')._start.getTime()).toBe(day('2024-01-02'));
+
+    gantt.undo();
+    expect(gantt.get_task('c')._start.getTime()).toBe(day('2024-01-08'));
+});
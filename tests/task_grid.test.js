@@ -0,0 +1,129 @@
+import date_utils from '../src/date_utils';
+import { GRID_COLUMNS } from '../src/task_grid';
+import { make_gantt } from './dom';
+
+const gantt = { options: { language: 'en' } };
+
+test('Task grid: formats the built-in columns', () => {
+    const task = {
+        name: 'Design',
+        _start: date_utils.parse('2024-01-01'),
+        _end: date_utils.parse('2024-01-04'),
+        actual_duration: 3,
+        progress: 42.6,
+    };
+    expect(GRID_COLUMNS.name.format(task, gantt)).toBe('Design');
+    expect(GRID_COLUMNS.start.format(task, gantt)).toBe('2024-01-01');
+    expect(GRID_COLUMNS.end.format(task, gantt)).toBe('2024-01-03');
+    expect(GRID_COLUMNS.duration.format(task, gantt)).toBe('3d');
+    expect(GRID_COLUMNS.progress.format(task, gantt)).toBe('43%');
+});
+
+test('Task grid: milestones end on their own date', () => {
+    const date = date_utils.parse('2024-01-05');
+    const task = { type: 'milestone', _start: date, _end: date };
+    expect(GRID_COLUMNS.end.format(task, gantt)).toBe('2024-01-05');
+});
+
+function make_grid_gantt(options = {}) {
+    return make_gantt(
+        [
+            { id: 'a', name: 'A', start: '2024-01-01', end: '2024-01-03' },
+            {
+                id: 'b',
+                name: 'B',
+                start: '2024-01-04',
+                end: '2024-01-05',
+                dependencies: 'a',
+            },
+        ],
+        { show_task_grid: true, ...options },
+    );
+}
+
+test('Task grid: commit moves the task like dragging its bar', () => {
+    const changes = [];
+    const gantt = make_grid_gantt({
+        auto_schedule: true,
+        on_date_change: (task, start, end) => changes.push([task.id, end]),
+    });
+    const task = gantt.get_task('a');
+    gantt.task_grid.commit(task, 'end', '2024-01-04');
+
+    expect(task._end.getTime()).toBe(date_utils.parse('2024-01-05').getTime());
+    expect(changes[0][0]).toBe('a');
+    // b has to start after a now
+    expect(gantt.get_task('b')._start.getTime()).toBe(
+        date_utils.parse('2024-01-05').getTime(),
+    );
+    expect(gantt.can_undo()).toBe(true);
+});
+
+test('Task grid: commit takes dependents along and reports blocked edits', () => {
+    const errors = [];
+    const gantt = make_grid_gantt({
+        move_dependencies: true,
+        on_error: (e) => errors.push(...e),
+    });
+    const a = gantt.get_task('a');
+    const b = gantt.get_task('b');
+    gantt.task_grid.commit(a, 'start', '2024-01-03');
+    expect(a._start.getTime()).toBe(date_utils.parse('2024-01-03').getTime());
+    expect(b._start.getTime()).toBe(date_utils.parse('2024-01-06').getTime());
+    expect(gantt.get_bar('b').$bar.getX()).toBe(gantt.date_to_x(b._start));
+
+    // both are put back in one step
+    gantt.undo();
+    expect(b._start.getTime()).toBe(date_utils.parse('2024-01-04').getTime());
+    expect(gantt.can_undo()).toBe(false);
+
+    // b can't start before a ends
+    gantt.task_grid.commit(b, 'start', '2024-01-02');
+    expect(errors.map((error) => error.type)).toEqual(['invalid_value']);
+    expect(errors[0].task_id).toBe('b');
+    expect(b._start.getTime()).toBe(date_utils.parse('2024-01-04').getTime());
+    expect(gantt.can_undo()).toBe(false);
+});
+
+test('Task grid: commit grows the chart for dates past its end', () => {
+    const gantt = make_grid_gantt();
+    const task = gantt.get_task('b');
+    gantt.task_grid.commit(task, 'end', '2024-09-30');
+
+    expect(task._end.getTime()).toBe(date_utils.parse('2024-10-01').getTime());
+    expect(gantt.gantt_end >= task._end).toBe(true);
+    const bar = gantt.get_bar('b');
+    expect(bar.$bar.getEndX()).toBe(gantt.date_to_x(task._end));
+    expect(bar.$bar.getEndX() <= +gantt.$svg.getAttribute('width')).toBe(true);
+});
+
+test('Task grid: commit renames tasks and reports bad values', () => {
+    const errors = [];
+    const gantt = make_grid_gantt({ on_error: (e) => errors.push(...e) });
+    const task = gantt.get_task('a');
+    gantt.task_grid.commit(task, 'name', 'Design');
+    expect(task.name).toBe('Design');
+    const $label = gantt.get_bar('a').group.querySelector('.bar-label');
+    expect($label.textContent).toBe('Design');
+
+    gantt.task_grid.commit(task, 'duration', 'soon');
+    expect(errors.map((error) => error.type)).toEqual(['invalid_value']);
+    expect(task._end.getTime()).toBe(date_utils.parse('2024-01-04').getTime());
+});
+
+test('Task grid: the layout is undone when the grid is turned off', () => {
+    const gantt = make_grid_gantt();
+    const $wrapper = document.querySelector('#gantt');
+    expect($wrapper.firstChild.classList.contains('gantt-layout')).toBe(true);
+
+    gantt.update_options({ show_task_grid: false });
+    expect($wrapper.querySelector('.gantt-layout')).toBeNull();
+    expect($wrapper.querySelector('.task-grid')).toBeNull();
+    expect(gantt.$container.parentElement).toBe($wrapper);
+
+    gantt.update_options({ show_task_grid: true });
+    expect($wrapper.querySelectorAll('.task-grid')).toHaveLength(1);
+    expect(
+        gantt.$container.parentElement.classList.contains('gantt-layout'),
+    ).toBe(true);
+});
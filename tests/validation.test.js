@@ -0,0 +1,100 @@
+import { check_task_dates, validate_tasks } from '../src/validation';
+
+test('Validate: accepts valid tasks', () => {
+    const errors = validate_tasks([
+        { id: 'p', name: 'P' },
+        { id: 'a', start: '2024-01-01', end: '2024-01-03', parent: 'p' },
+        { id: 'b', start: '2024-01-04', duration: '2d', dependencies: 'a' },
+        { id: 'm', start: '2024-01-06', dependencies: 'b:FS+1d' },
+    ]);
+    expect(errors).toEqual([]);
+});
+
+test('Validate: reports duplicate ids and dangling references', () => {
+    const errors = validate_tasks([
+        { id: 'a', start: '2024-01-01', end: '2024-01-03' },
+        { id: 'a', start: '2024-01-01', end: '2024-01-03' },
+        { id: 'b', start: '2024-01-01', parent: 'x', dependencies: 'a, y' },
+    ]);
+    expect(errors.map(({ type, task_id }) => [type, task_id])).toEqual([
+        ['duplicate_id', 'a'],
+        ['missing_parent', 'b'],
+        ['missing_dependency', 'b'],
+    ]);
+    expect(errors[1].parent_id).toBe('x');
+    expect(errors[2].dependency_id).toBe('y');
+});
+
+test('Validate: reports dependency and parent cycles once', () => {
+    const errors = validate_tasks([
+        { id: 'a', start: '2024-01-01', dependencies: 'c' },
+        { id: 'b', start: '2024-01-01', dependencies: 'a' },
+        { id: 'c', start: '2024-01-01', dependencies: 'b' },
+        { id: 'd', start: '2024-01-01', dependencies: 'd' },
+        { id: 'e', start: '2024-01-01', parent: 'f' },
+        { id: 'f', start: '2024-01-01', parent: 'e' },
+    ]);
+    const cycles = errors.filter((e) => e.type.endsWith('_cycle'));
+    expect(cycles.map(({ type, cycle }) => [type, cycle])).toEqual([
+        ['parent_cycle', ['e', 'f']],
+        ['dependency_cycle', ['a', 'c', 'b']],
+        ['dependency_cycle', ['d']],
+    ]);
+});
+
+test('Validate: checks task dates', () => {
+    expect(check_task_dates({ id: 'a' })).toBe(
+        'task "a" doesn\'t have a start date',
+    );
+    expect(check_task_dates({ id: 'a', start: 'soon' })).toBe(
+        'task "a" has an invalid start date "soon"',
+    );
+    expect(check_task_dates({ id: 'a', start: '2024-01-01', end: '' })).toBe(
+        'task "a" doesn\'t have an end date',
+    );
+    expect(
+        check_task_dates({ id: 'a', start: '2024-01-03', end: '2024-01-01' }),
+    ).toBe('start of task can\'t be after end of task: in task "a"');
+    expect(
+        check_task_dates({ id: 'a', start: '2024-01-01', duration: 'long' }),
+    ).toBe('task "a" has an invalid duration "long"');
+    expect(check_task_dates({ id: 'a', start: '2024-01-01' })).toBe(null);
+});
+
+test('Validate: checks the segments of split tasks', () => {
+    const task = {
+        id: 'a',
+        segments: [
+            { start: '2024-01-01', end: '2024-01-03' },
+            { start: '2024-01-08', duration: '2d' },
+        ],
+    };
+    expect(check_task_dates(task)).toBe(null);
+
+    task.segments.push({ start: '2024-01-02', end: '2024-01-04' });
+    expect(check_task_dates(task)).toBe('segments of task "a" overlap');
+
+    task.segments = [{ start: '2024-01-02' }];
+    expect(check_task_dates(task)).toBe(
+        'a segment of task "a" doesn\'t have an end date',
+    );
+});
+
+test('Validate: reports unknown link types and bad lags', () => {
+    const errors = validate_tasks([
+        { id: 'a', start: '2024-01-01', end: '2024-01-03' },
+        { id: 'b', start: '2024-01-04', dependencies: 'a:XY' },
+        {
+            id: 'c',
+            start: '2024-01-04',
+            dependencies: [{ id: 'a', type: 'SS', lag: 'soon' }],
+        },
+    ]);
+    expect(errors.map(({ type, task_id }) => [type, task_id])).toEqual([
+        ['invalid_dependency', 'b'],
+        ['invalid_dependency', 'c'],
+    ]);
+    expect(errors[0].dependency_id).toBe('a');
+    expect(errors[0].message).toContain('"XY"');
+    expect(errors[1].message).toContain('"soon"');
+});
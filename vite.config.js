@@ -17,5 +17,10 @@ export default defineConfig({
         },
     },
     output: { interop: 'auto' },
-    server: { watch: { include: ['dist/*', 'src/*'] } }
+    server: { watch: { include: ['dist/*', 'src/*'] } },
+    test: {
+        // the charts are drawn into a DOM, jsdom stands in for the browser
+        environment: 'jsdom',
+        globals: true,
+    },
 });
\ No newline at end of file